@@ -0,0 +1,89 @@
+import logger from './logger.js';
+
+// Registro de auditoría: quién cambió qué entidad, con los valores anteriores y
+// nuevos de cada campo. Se escribe con el `tx` de la transacción del cambio para que
+// ninguno de los dos quede sin el otro. El actor y el request_id salen de la request en curso.
+
+// Campos cuyo valor nunca se guarda (solo que cambiaron)
+const REDACTED_FIELDS = ['password', 'secret', 'token_hash'];
+// Campos que cambian con cualquier escritura y no aportan al registro
+const IGNORED_FIELDS = ['updated_at'];
+const REDACTED = '[redactado]';
+
+const auditValue = (field, value) => (REDACTED_FIELDS.includes(field) && value !== null && value !== undefined ? REDACTED : value ?? null);
+
+// { campo: { from, to } } con los campos que difieren entre las dos versiones de la fila
+export const diffRecords = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (from !== to) {
+      changes[field] = { from: auditValue(field, from), to: auditValue(field, to) };
+    }
+  }
+
+  return changes;
+};
+
+// `before` es null al crear y `after` es null al eliminar. Las actualizaciones que
+// no cambian ningún campo no se registran. `actorId` sustituye al usuario de la request
+// en rutas sin autenticación donde el actor se conoce por otra vía (registro, recuperación).
+export const recordAudit = async (tx, { action, entity, entityId, before = null, after = null, actorId }) => {
+  const changes = diffRecords(before, after);
+  if (before && after && Object.keys(changes).length === 0) {
+    return;
+  }
+
+  const current = logger.context.getStore();
+  await tx.run(
+    `INSERT INTO audit_log (service, actor_id, action, entity_type, entity_id, changes, request_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      logger.service,
+      actorId ?? current?.req.user?.id ?? null,
+      action,
+      entity,
+      String(entityId),
+      JSON.stringify(changes),
+      current?.requestId || null
+    ]
+  );
+};
+
+const readRow = async (tx, table, id) => {
+  const rows = await tx.query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+// Audita la modificación de una fila: la lee antes y después de `work(tx)`.
+// Si la fila no existe no se registra nada.
+export const auditUpdate = async (tx, { entity, table, id, action = 'update', actorId }, work) => {
+  const before = await readRow(tx, table, id);
+  const result = await work(tx);
+  const after = await readRow(tx, table, id);
+
+  if (before || after) {
+    await recordAudit(tx, { action, entity, entityId: id, before, after, actorId });
+  }
+  return result;
+};
+
+// Audita la creación de una fila ya insertada
+export const auditCreate = async (tx, { entity, table, id, actorId }) => {
+  await recordAudit(tx, { action: 'create', entity, entityId: id, after: await readRow(tx, table, id), actorId });
+};
+
+// Audita la eliminación de una fila; se llama antes de borrarla
+export const auditDelete = async (tx, { entity, table, id, action = 'delete' }) => {
+  const before = await readRow(tx, table, id);
+  if (before) {
+    await recordAudit(tx, { action, entity, entityId: id, before });
+  }
+};
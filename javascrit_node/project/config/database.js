@@ -1,64 +1,166 @@
 import sqlite3 from 'sqlite3';
+import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import logger from './logger.js';
+
+export const DB_PATH = process.env.DB_PATH || './database/imports.db';
 
 class Database {
   constructor() {
     this.db = null;
+    // Contexto de la transacción en curso, para que db.query/db.run dentro de ella no esperen
+    this.context = new AsyncLocalStorage();
+    this.activeTransaction = null;
+    this.transactionQueue = Promise.resolve();
+    this.savepointCounter = 0;
   }
 
   async connect() {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+
     return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database('./database/imports.db', (err) => {
+      this.db = new sqlite3.Database(DB_PATH, (err) => {
         if (err) {
-          console.error('Error conectando a la base de datos:', err.message);
+          logger.error('Error conectando a la base de datos', { error: err });
           reject(err);
         } else {
-          console.log('📊 Conectado a SQLite database');
+          // Los servicios comparten el archivo: esperar el lock en lugar de fallar con SQLITE_BUSY
+          this.db.configure('busyTimeout', 5000);
+          logger.info('📊 Conectado a SQLite database', { db_path: DB_PATH });
           resolve(this.db);
         }
       });
     });
   }
 
-  async query(sql, params = []) {
+  execute(method, sql, params = []) {
     return new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not connected'));
         return;
       }
 
-      this.db.all(sql, params, (err, rows) => {
+      if (method === 'exec') {
+        this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+        return;
+      }
+
+      this.db[method](sql, params, function(err, rows) {
         if (err) {
           reject(err);
-        } else {
+        } else if (method === 'all') {
           resolve(rows);
+        } else {
+          resolve({ id: this.lastID, changes: this.changes });
         }
       });
     });
   }
 
+  // La conexión es compartida: fuera de una transacción hay que esperar a que
+  // termine la que esté en curso para no quedar incluido en ella
+  isBlockedByTransaction() {
+    return Boolean(this.activeTransaction) && !this.context.getStore();
+  }
+
+  async waitForTransaction() {
+    while (this.isBlockedByTransaction()) {
+      await this.activeTransaction.catch(() => {});
+    }
+  }
+
+  async query(sql, params = []) {
+    if (this.isBlockedByTransaction()) {
+      await this.waitForTransaction();
+      return this.query(sql, params);
+    }
+    return this.execute('all', sql, params);
+  }
+
   async run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        reject(new Error('Database not connected'));
-        return;
-      }
+    if (this.isBlockedByTransaction()) {
+      await this.waitForTransaction();
+      return this.run(sql, params);
+    }
+    return this.execute('run', sql, params);
+  }
 
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
+  // Ejecuta un script con varias sentencias separadas por `;`
+  async exec(sql) {
+    if (this.isBlockedByTransaction()) {
+      await this.waitForTransaction();
+      return this.exec(sql);
+    }
+    return this.execute('exec', sql);
+  }
+
+  // Ejecuta `work(tx)` dentro de una transacción. Si `work` lanza un error se hace
+  // rollback y el error se propaga. Llamadas anidadas usan savepoints, por lo que
+  // deben ejecutarse de forma secuencial dentro de la transacción.
+  async transaction(work) {
+    const current = this.context.getStore();
+    if (current) {
+      return this.savepoint(current, work);
+    }
+
+    const previous = this.transactionQueue;
+    let release;
+    this.transactionQueue = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    const tx = this.createTransactionHandle();
+    const body = this.context.run(tx, async () => {
+      await this.execute('run', 'BEGIN IMMEDIATE');
+      try {
+        const result = await work(tx);
+        await this.execute('run', 'COMMIT');
+        return result;
+      } catch (error) {
+        await this.execute('run', 'ROLLBACK').catch(() => {});
+        throw error;
+      }
     });
+
+    this.activeTransaction = body;
+    try {
+      return await body;
+    } finally {
+      this.activeTransaction = null;
+      release();
+    }
+  }
+
+  async savepoint(tx, work) {
+    const name = `sp_${++this.savepointCounter}`;
+    await this.execute('run', `SAVEPOINT ${name}`);
+    try {
+      const result = await work(tx);
+      await this.execute('run', `RELEASE ${name}`);
+      return result;
+    } catch (error) {
+      await this.execute('run', `ROLLBACK TO ${name}`).catch(() => {});
+      await this.execute('run', `RELEASE ${name}`).catch(() => {});
+      throw error;
+    }
+  }
+
+  createTransactionHandle() {
+    const tx = {
+      query: (sql, params = []) => this.execute('all', sql, params),
+      run: (sql, params = []) => this.execute('run', sql, params),
+      exec: (sql) => this.execute('exec', sql),
+      transaction: (work) => this.savepoint(tx, work)
+    };
+    return tx;
   }
 
   close() {
     if (this.db) {
       this.db.close();
+      this.db = null;
     }
   }
 }
 
-export default new Database();
\ No newline at end of file
+export default new Database();
@@ -0,0 +1,147 @@
+import db from './database.js';
+import logger from './logger.js';
+
+// Bus de eventos entre servicios sobre el outbox de la base compartida. Cada
+// suscripción es un consumidor con nombre y su propio cursor: recibe, en orden,
+// todos los eventos de los tipos que le interesan, incluidos los publicados
+// mientras su servicio estaba caído.
+
+const POLL_INTERVAL_MS = parseInt(process.env.EVENT_BUS_POLL_INTERVAL_MS || '1000', 10);
+// Intentos de un evento que falla antes de mandarlo a event_dead_letters
+const MAX_ATTEMPTS = parseInt(process.env.EVENT_BUS_MAX_ATTEMPTS || '5', 10);
+
+const toEvent = (row) => ({
+  id: row.id,
+  event_id: row.event_id,
+  type: row.type,
+  source: row.source,
+  data: JSON.parse(row.payload),
+  request_id: row.request_id,
+  actor_id: row.actor_id,
+  created_at: row.created_at
+});
+
+const matches = (types, type) => types.includes('*') || types.includes(type);
+
+// Entrega a `handler(tx, event)` los eventos pendientes del consumidor `name`.
+// Lo que el handler escribe con `tx` se confirma junto con el avance del cursor,
+// así que cada evento se procesa al menos una vez (exactamente una para los
+// cambios en la base). Si el handler falla el cursor queda antes de ese evento
+// y se reintenta en la siguiente pasada; tras MAX_ATTEMPTS se descarta.
+export const consumeEvents = async ({ name, types = ['*'], handler, batchSize = 100 }) => {
+  // Lectura simple antes de tomar el lock de escritura: sin eventos nuevos después del
+  // cursor (o del inicio, si el consumidor aún no existe) la pasada no abre transacción
+  const [{ pending }] = await db.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM event_outbox
+       WHERE id > COALESCE((SELECT last_event_id FROM event_consumers WHERE name = ?), 0)
+     ) as pending`,
+    [name]
+  );
+  if (!pending) {
+    return 0;
+  }
+
+  return db.transaction(async (tx) => {
+    await tx.run('INSERT OR IGNORE INTO event_consumers (name) VALUES (?)', [name]);
+    const [consumer] = await tx.query('SELECT last_event_id, attempts FROM event_consumers WHERE name = ?', [name]);
+
+    const rows = await tx.query(
+      'SELECT * FROM event_outbox WHERE id > ? ORDER BY id LIMIT ?',
+      [consumer.last_event_id, batchSize]
+    );
+
+    let lastEventId = consumer.last_event_id;
+    let attempts = consumer.attempts || 0;
+    let failure = null;
+
+    for (const row of rows) {
+      if (matches(types, row.type)) {
+        const event = toEvent(row);
+        try {
+          // Savepoint: si el handler falla se descarta solo lo que escribió para este evento.
+          // Los logs, eventos y registros de auditoría que genere llevan el request_id
+          // y el usuario de la request original.
+          const req = { user: event.actor_id ? { id: event.actor_id } : undefined };
+          await logger.context.run({ requestId: event.request_id, req }, () => {
+            return tx.transaction(work => handler(work, event));
+          });
+        } catch (error) {
+          attempts++;
+          if (attempts < MAX_ATTEMPTS) {
+            logger.warn(`Error procesando evento en ${name}, se reintentará`, {
+              event_id: event.event_id,
+              event_type: event.type,
+              attempt: attempts,
+              error
+            });
+            failure = error;
+            break;
+          }
+
+          logger.error(`Evento descartado por ${name} tras ${attempts} intentos`, {
+            event_id: event.event_id,
+            event_type: event.type,
+            error
+          });
+          await tx.run(
+            'INSERT INTO event_dead_letters (consumer, event_id, attempts, error) VALUES (?, ?, ?, ?)',
+            [name, event.id, attempts, error.message]
+          );
+        }
+      }
+
+      lastEventId = row.id;
+      attempts = 0;
+    }
+
+    await tx.run(
+      `UPDATE event_consumers SET last_event_id = ?, attempts = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE name = ?`,
+      [lastEventId, attempts, failure ? failure.message : null, name]
+    );
+
+    return rows.length;
+  });
+};
+
+// Suscripciones de un servicio. Uso:
+//   const bus = new EventBus();
+//   bus.subscribe('products.stock', ['goods_receipt.recorded'], async (tx, event) => { ... });
+//   bus.start();
+// El nombre identifica al consumidor en la base: no debe cambiar ni repetirse entre servicios.
+export class EventBus {
+  constructor({ pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+    this.pollIntervalMs = pollIntervalMs;
+    this.subscriptions = [];
+  }
+
+  subscribe(name, types, handler) {
+    this.subscriptions.push({ name, types, handler });
+    return this;
+  }
+
+  // Procesa un lote de cada suscripción
+  async poll() {
+    for (const subscription of this.subscriptions) {
+      try {
+        await consumeEvents(subscription);
+      } catch (error) {
+        logger.error(`Error en el consumidor de eventos ${subscription.name}`, { error });
+      }
+    }
+  }
+
+  start() {
+    const tick = async () => {
+      await this.poll();
+      setTimeout(tick, this.pollIntervalMs).unref();
+    };
+
+    tick();
+    logger.info('📨 Bus de eventos iniciado', {
+      consumers: this.subscriptions.map(subscription => subscription.name),
+      poll_interval_ms: this.pollIntervalMs
+    });
+  }
+}
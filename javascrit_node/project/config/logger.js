@@ -0,0 +1,73 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Logs estructurados: una línea JSON por evento, con el servicio y, si hay una
+// request en curso, su request_id y el usuario autenticado
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  stack: error.stack
+});
+
+class Logger {
+  constructor() {
+    this.service = process.env.SERVICE_NAME || null;
+    // Request en curso ({ requestId, req }), la establece el middleware requestContext
+    this.context = new AsyncLocalStorage();
+  }
+
+  setService(service) {
+    this.service = service;
+  }
+
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < MIN_LEVEL) {
+      return;
+    }
+
+    const current = this.context.getStore();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      service: this.service,
+      message
+    };
+
+    if (current) {
+      entry.request_id = current.requestId;
+      entry.user_id = current.req.user?.id ?? null;
+    }
+
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    const line = JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+export default new Logger();
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import db from './database.js';
+
+// Las migraciones viven en database/migrations con el formato NNN_descripcion.js
+// y exportan `up(tx)` y `down(tx)`
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'database', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+const ensureMigrationsTable = () => {
+  return db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+export const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, file: path.join(MIGRATIONS_DIR, file) }))
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const getAppliedVersions = async () => {
+  await ensureMigrationsTable();
+  const rows = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+};
+
+export const getStatus = async () => {
+  const applied = await db.query('SELECT version, applied_at FROM schema_migrations').catch(() => []);
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied: appliedAt.has(version),
+    applied_at: appliedAt.get(version) || null
+  }));
+};
+
+export const getPendingMigrations = async () => {
+  const applied = new Set(await getAppliedVersions());
+  return loadMigrations().filter(migration => !applied.has(migration.version));
+};
+
+// Aplica todas las migraciones pendientes, cada una en su propia transacción
+export const migrate = async () => {
+  const applied = [];
+
+  for (const migration of await getPendingMigrations()) {
+    const { up } = await import(pathToFileURL(migration.file).href);
+
+    await db.transaction(async (tx) => {
+      await up(tx);
+      await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+
+    applied.push(migration);
+  }
+
+  return applied;
+};
+
+// Revierte las últimas `steps` migraciones aplicadas
+export const rollback = async (steps = 1) => {
+  const appliedVersions = await getAppliedVersions();
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const reverted = [];
+
+  for (const version of appliedVersions.reverse().slice(0, steps)) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`No se encontró el archivo de la migración ${version}`);
+    }
+
+    const { down } = await import(pathToFileURL(migration.file).href);
+
+    await db.transaction(async (tx) => {
+      await down(tx);
+      await tx.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+
+    reverted.push(migration);
+  }
+
+  return reverted;
+};
+
+// Los servicios no arrancan contra una base de datos con migraciones pendientes
+export const ensureMigrated = async () => {
+  const pending = await getPendingMigrations();
+  if (pending.length > 0) {
+    const list = pending.map(migration => `${migration.version}_${migration.name}`).join(', ');
+    throw new Error(`La base de datos tiene migraciones pendientes (${list}). Ejecuta "npm run migrate"`);
+  }
+};
+
+// Agrega una columna solo si no existe, para poder adoptar bases creadas antes de las migraciones
+export const addColumn = async (tx, table, column, definition) => {
+  const columns = await tx.query(`PRAGMA table_info(${table})`);
+  if (!columns.some(existing => existing.name === column)) {
+    await tx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+export const dropColumn = async (tx, table, column) => {
+  const columns = await tx.query(`PRAGMA table_info(${table})`);
+  if (columns.some(existing => existing.name === column)) {
+    await tx.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+};
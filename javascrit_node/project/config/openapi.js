@@ -0,0 +1,267 @@
+import { authenticateToken } from '../middleware/auth.js';
+
+// Documento OpenAPI 3 de un microservicio. Las rutas se leen del router de Express
+// (método, path, si exigen token y qué roles) y los cuerpos se describen con los
+// mismos esquemas Joi que validan las requests, de modo que la documentación no
+// puede desviarse del código.
+
+const regexSource = (regex) => regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+
+const applyStringRules = (schema, rules) => {
+  for (const { name, args } of rules) {
+    if (name === 'min') schema.minLength = args.limit;
+    if (name === 'max') schema.maxLength = args.limit;
+    if (name === 'length') {
+      schema.minLength = args.limit;
+      schema.maxLength = args.limit;
+    }
+    if (name === 'email') schema.format = 'email';
+    if (name === 'pattern') schema.pattern = regexSource(args.regex);
+    if (name === 'alphanum') schema.pattern = '^[a-zA-Z0-9]*$';
+    if (name === 'isoDate') schema.format = 'date-time';
+  }
+};
+
+const applyNumberRules = (schema, rules) => {
+  for (const { name, args } of rules) {
+    if (name === 'integer') schema.type = 'integer';
+    if (name === 'min') schema.minimum = args.limit;
+    if (name === 'max') schema.maximum = args.limit;
+    if (name === 'greater') {
+      schema.minimum = args.limit;
+      schema.exclusiveMinimum = true;
+    }
+    if (name === 'less') {
+      schema.maximum = args.limit;
+      schema.exclusiveMaximum = true;
+    }
+    if (name === 'sign' && args.sign === 'positive') {
+      schema.minimum = 0;
+      schema.exclusiveMinimum = true;
+    }
+    if (name === 'precision') schema.multipleOf = 10 ** -args.limit;
+  }
+};
+
+// Convierte la salida de `schema.describe()` de Joi a un Schema Object de OpenAPI 3.0
+const describeToSchema = (description) => {
+  const { type, flags = {}, rules = [] } = description;
+  const schema = {};
+
+  switch (type) {
+    case 'string':
+      schema.type = 'string';
+      applyStringRules(schema, rules);
+      break;
+    case 'number':
+      schema.type = 'number';
+      applyNumberRules(schema, rules);
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date';
+      break;
+    case 'array':
+    case 'list':
+      schema.type = 'array';
+      schema.items = description.items?.length ? describeToSchema(description.items[0]) : {};
+      for (const { name, args } of rules) {
+        if (name === 'min') schema.minItems = args.limit;
+        if (name === 'max') schema.maxItems = args.limit;
+      }
+      break;
+    case 'object': {
+      schema.type = 'object';
+      schema.properties = {};
+      const required = [];
+      for (const [key, child] of Object.entries(description.keys || {})) {
+        if (child.flags?.presence === 'forbidden') continue;
+        schema.properties[key] = describeToSchema(child);
+        if (child.flags?.presence === 'required') required.push(key);
+      }
+      if (required.length) schema.required = required;
+      break;
+    }
+    case 'alternatives':
+      schema.oneOf = description.matches.map(match => describeToSchema(match.schema));
+      break;
+    default:
+      break;
+  }
+
+  const allowed = description.allow || [];
+  if (allowed.includes(null)) {
+    schema.nullable = true;
+  }
+  if (flags.only) {
+    schema.enum = allowed.filter(value => value !== null);
+  }
+  if (flags.default !== undefined && typeof flags.default !== 'object') {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  return schema;
+};
+
+export const joiToSchema = (joiSchema) => describeToSchema(joiSchema.describe());
+
+// GET /api/imports/:id/landed-cost → getImportsByIdLandedCost
+const operationIdFor = (method, path) => {
+  const words = path.replace(/^\/api\//, '').split('/').map(segment => {
+    const word = segment.startsWith(':') ? `by-${segment.slice(1)}` : segment;
+    return word.split(/[-_]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+  });
+  return `${method}${words.join('')}`;
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// Rutas registradas en la app: [{ method, path, handlers }]
+const listRoutes = (app) => {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method,
+      path: layer.route.path,
+      handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+    })));
+};
+
+const buildOperation = (route, docs, schemaRef) => {
+  const { method, path, handlers } = route;
+  const requiresAuth = handlers.includes(authenticateToken);
+  const roles = handlers.find(handler => Array.isArray(handler.roles))?.roles || [];
+  const pathParams = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  const operation = {
+    operationId: docs.operationId || operationIdFor(method, path),
+    summary: docs.summary,
+    tags: [docs.tag || path.split('/')[2]],
+    parameters: pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: name === 'id' ? 'integer' : 'string' }
+    })),
+    responses: {
+      [docs.status || (method === 'post' ? 201 : 200)]: { description: docs.response || 'OK' }
+    }
+  };
+
+  if (roles.length) {
+    operation.description = `Requiere rol: ${roles.join(', ')}`;
+  }
+
+  if (docs.query) {
+    const query = joiToSchema(docs.query);
+    for (const [name, schema] of Object.entries(query.properties)) {
+      operation.parameters.push({ name, in: 'query', required: (query.required || []).includes(name), schema });
+    }
+  }
+
+  if (docs.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schemaRef(docs.body) } }
+    };
+  }
+
+  if (docs.upload) {
+    const fileSchema = {
+      type: 'object',
+      properties: { file: { type: 'string', format: 'binary', description: docs.upload } },
+      required: ['file']
+    };
+    // Con `body` los campos del esquema viajan junto al archivo en el mismo formulario
+    operation.requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': { schema: docs.body ? { allOf: [fileSchema, schemaRef(docs.body)] } : fileSchema }
+      }
+    };
+  }
+
+  if (docs.body || docs.query || docs.upload) operation.responses[400] = errorResponse('Datos inválidos');
+  if (requiresAuth) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses[401] = errorResponse('Token ausente, expirado o sesión cerrada');
+    operation.responses[403] = errorResponse(roles.length ? 'Token inválido o permisos insuficientes' : 'Token inválido');
+  }
+  if (pathParams.length) operation.responses[404] = errorResponse('Recurso no encontrado');
+  for (const [status, description] of Object.entries(docs.errors || {})) {
+    operation.responses[status] = errorResponse(description);
+  }
+  operation.responses[500] = errorResponse('Error interno del servidor');
+
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  return operation;
+};
+
+// options.schemas: esquemas Joi con nombre, publicados en components.schemas
+// options.routes: { 'POST /api/products': { summary, body, query, upload, status, response, errors, tag } }
+export const buildOpenApiDocument = (app, { title, version = '1.0.0', schemas = {}, routes = {} }) => {
+  const names = new Map(Object.entries(schemas).map(([name, schema]) => [schema, name]));
+  const schemaRef = (joiSchema) => {
+    const name = names.get(joiSchema);
+    return name ? { $ref: `#/components/schemas/${name}` } : joiToSchema(joiSchema);
+  };
+
+  const document = {
+    openapi: '3.0.3',
+    info: { title, version },
+    paths: {},
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string' },
+            request_id: { type: 'string' }
+          },
+          required: ['error']
+        },
+        ...Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [name, joiToSchema(schema)]))
+      }
+    }
+  };
+
+  const documented = new Set();
+
+  for (const route of listRoutes(app).filter(({ path }) => path.startsWith('/api/'))) {
+    const key = `${route.method.toUpperCase()} ${route.path}`;
+    documented.add(key);
+
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    document.paths[openApiPath] = document.paths[openApiPath] || {};
+    document.paths[openApiPath][route.method] = buildOperation(route, routes[key] || {}, schemaRef);
+  }
+
+  const stale = Object.keys(routes).filter(key => !documented.has(key));
+  if (stale.length) {
+    throw new Error(`Documentación OpenAPI para rutas inexistentes: ${stale.join(', ')}`);
+  }
+
+  return document;
+};
+
+// Publica GET /openapi.json. Se llama después de registrar todas las rutas: si la
+// documentación menciona una ruta que ya no existe, el servicio no arranca.
+export const serveOpenApi = (app, options) => {
+  const document = buildOpenApiDocument(app, options);
+  app.get('/openapi.json', (req, res) => res.json(document));
+};
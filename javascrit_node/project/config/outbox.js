@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+
+// Outbox de eventos de dominio. Los eventos se escriben con el `tx` de la misma
+// transacción que el cambio que describen: si el cambio se confirma el evento
+// también, y si el proceso muere antes ninguno de los dos queda escrito.
+// Los consumidores (webhooks, otros servicios) los leen con config/eventBus.js.
+export const recordEvent = async (tx, type, data) => {
+  const eventId = crypto.randomUUID();
+  const current = logger.context.getStore();
+  await tx.run(
+    'INSERT INTO event_outbox (event_id, type, payload, source, request_id, actor_id) VALUES (?, ?, ?, ?, ?, ?)',
+    [eventId, type, JSON.stringify(data), logger.service, current?.requestId || null, current?.req.user?.id ?? null]
+  );
+  return eventId;
+};
@@ -0,0 +1,67 @@
+import Joi from 'joi';
+import db from './database.js';
+
+// Paginación, orden y filtros comunes a todos los listados. Todas las respuestas
+// tienen la forma { data: [...], pagination: { page, limit, total, total_pages } }.
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Acepta tanto ?status=a,b como ?status=a&status=b
+const ListJoi = Joi.extend((joi) => ({
+  type: 'list',
+  base: joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({ value: value.split(',').map(item => item.trim()).filter(Boolean) })
+  }
+}));
+
+export const listOf = (items) => ListJoi.list().items(items);
+
+// Esquema Joi del query string de un listado: los filtros propios más page, limit,
+// sort (solo los campos de `sortColumns`) y order
+export const listQuerySchema = ({ filters = {}, sortColumns, defaultSort, defaultOrder = 'asc' }) => {
+  return Joi.object({
+    ...filters,
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+    sort: Joi.string().valid(...Object.keys(sortColumns)).default(defaultSort),
+    order: Joi.string().valid('asc', 'desc').default(defaultOrder)
+  });
+};
+
+// Filtro `deleted` de los listados con borrado lógico: por defecto se ocultan los
+// registros eliminados; `include` los muestra junto al resto y `only` solo a ellos
+export const deletedFilter = () => Joi.string().valid('exclude', 'include', 'only').default('exclude');
+
+export const deletedCondition = (column, deleted) => {
+  if (deleted === 'include') {
+    return '';
+  }
+  return deleted === 'only' ? ` AND ${column} IS NOT NULL` : ` AND ${column} IS NULL`;
+};
+
+// Ejecuta el conteo y la página pedida. `from` incluye los JOIN, `where` empieza con
+// WHERE y `sortColumns` traduce cada campo de `sort` a su columna SQL; `idColumn`
+// desempata para que el orden sea estable entre páginas.
+export const paginate = async ({ select, from, where = '', params = [], sortColumns, idColumn, query }) => {
+  const { page, limit, sort, order } = query;
+
+  const [{ total }] = await db.query(`SELECT COUNT(*) as total ${from} ${where}`, params);
+  const data = await db.query(
+    `SELECT ${select} ${from} ${where}
+     ORDER BY ${sortColumns[sort]} ${order.toUpperCase()}, ${idColumn} ${order.toUpperCase()}
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit)
+    }
+  };
+};
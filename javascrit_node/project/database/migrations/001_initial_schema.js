@@ -0,0 +1,78 @@
+// Esquema original del sistema. Usa IF NOT EXISTS para adoptar bases creadas con el antiguo init-database.js
+export const up = async (tx) => {
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      role TEXT DEFAULT 'user',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS suppliers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      country TEXT NOT NULL,
+      contact_email TEXT,
+      phone TEXT,
+      address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS products (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      price DECIMAL(10,2) NOT NULL,
+      category TEXT NOT NULL,
+      supplier_id INTEGER,
+      stock INTEGER DEFAULT 0,
+      hs_code TEXT,
+      weight DECIMAL(8,2),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_code TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      supplier_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'pending',
+      total_amount DECIMAL(12,2) DEFAULT 0,
+      import_date DATE,
+      estimated_arrival DATE,
+      tracking_number TEXT,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS import_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      unit_price DECIMAL(10,2) NOT NULL,
+      total_price DECIMAL(10,2) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id)
+    );
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP TABLE IF EXISTS import_items;
+    DROP TABLE IF EXISTS imports;
+    DROP TABLE IF EXISTS products;
+    DROP TABLE IF EXISTS suppliers;
+    DROP TABLE IF EXISTS users;
+  `);
+};
@@ -0,0 +1,23 @@
+// Historial de cambios de estado de importaciones
+export const up = async (tx) => {
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS import_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      changed_by INTEGER NOT NULL,
+      comment TEXT,
+      tracking_number TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_import_status_history_import ON import_status_history(import_id, created_at);
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec('DROP TABLE IF EXISTS import_status_history;');
+};
@@ -0,0 +1,27 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Costos de flete y seguro por importación y tasas arancelarias por prefijo HS
+export const up = async (tx) => {
+  await addColumn(tx, 'imports', 'freight_cost', 'DECIMAL(12,2) DEFAULT 0');
+  await addColumn(tx, 'imports', 'insurance_cost', 'DECIMAL(12,2) DEFAULT 0');
+  await addColumn(tx, 'imports', 'freight_allocation', "TEXT DEFAULT 'weight'");
+
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS duty_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hs_prefix TEXT UNIQUE NOT NULL,
+      duty_rate DECIMAL(6,4) NOT NULL,
+      vat_rate DECIMAL(6,4),
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec('DROP TABLE IF EXISTS duty_rates;');
+  await dropColumn(tx, 'imports', 'freight_allocation');
+  await dropColumn(tx, 'imports', 'insurance_cost');
+  await dropColumn(tx, 'imports', 'freight_cost');
+};
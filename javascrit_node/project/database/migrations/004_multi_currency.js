@@ -0,0 +1,37 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Moneda en precios y órdenes, y tipos de cambio (unidades de base_currency por unidad de currency)
+export const up = async (tx) => {
+  await addColumn(tx, 'suppliers', 'currency', "TEXT DEFAULT 'USD'");
+  await addColumn(tx, 'products', 'currency', "TEXT DEFAULT 'USD'");
+  await addColumn(tx, 'imports', 'currency', "TEXT DEFAULT 'USD'");
+  await addColumn(tx, 'imports', 'base_currency', "TEXT DEFAULT 'USD'");
+  await addColumn(tx, 'imports', 'exchange_rate', 'DECIMAL(18,8) DEFAULT 1');
+  await addColumn(tx, 'imports', 'exchange_rate_date', 'DATE');
+  await addColumn(tx, 'import_items', 'currency', "TEXT DEFAULT 'USD'");
+
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      currency TEXT NOT NULL,
+      base_currency TEXT NOT NULL,
+      rate DECIMAL(18,8) NOT NULL,
+      effective_date DATE NOT NULL,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (currency, base_currency, effective_date),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec('DROP TABLE IF EXISTS exchange_rates;');
+  await dropColumn(tx, 'import_items', 'currency');
+  await dropColumn(tx, 'imports', 'exchange_rate_date');
+  await dropColumn(tx, 'imports', 'exchange_rate');
+  await dropColumn(tx, 'imports', 'base_currency');
+  await dropColumn(tx, 'imports', 'currency');
+  await dropColumn(tx, 'products', 'currency');
+  await dropColumn(tx, 'suppliers', 'currency');
+};
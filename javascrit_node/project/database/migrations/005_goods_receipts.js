@@ -0,0 +1,44 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Recepción de mercancía por línea, incluyendo cierres de cantidades pendientes
+export const up = async (tx) => {
+  await addColumn(tx, 'import_items', 'received_quantity', 'INTEGER DEFAULT 0');
+  await addColumn(tx, 'import_items', 'damaged_quantity', 'INTEGER DEFAULT 0');
+  await addColumn(tx, 'import_items', 'closed_quantity', 'INTEGER DEFAULT 0');
+  await addColumn(tx, 'import_items', 'close_reason', 'TEXT');
+
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS goods_receipts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      type TEXT DEFAULT 'receipt',
+      received_by INTEGER NOT NULL,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE,
+      FOREIGN KEY (received_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS goods_receipt_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      receipt_id INTEGER NOT NULL,
+      import_item_id INTEGER NOT NULL,
+      received_quantity INTEGER DEFAULT 0,
+      damaged_quantity INTEGER DEFAULT 0,
+      closed_quantity INTEGER DEFAULT 0,
+      FOREIGN KEY (receipt_id) REFERENCES goods_receipts(id) ON DELETE CASCADE,
+      FOREIGN KEY (import_item_id) REFERENCES import_items(id)
+    );
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP TABLE IF EXISTS goods_receipt_lines;
+    DROP TABLE IF EXISTS goods_receipts;
+  `);
+  await dropColumn(tx, 'import_items', 'close_reason');
+  await dropColumn(tx, 'import_items', 'closed_quantity');
+  await dropColumn(tx, 'import_items', 'damaged_quantity');
+  await dropColumn(tx, 'import_items', 'received_quantity');
+};
@@ -0,0 +1,36 @@
+// Sesiones de usuario y refresh tokens rotativos. Una sesión agrupa la familia de
+// refresh tokens emitidos desde un mismo login; revocarla invalida todos sus tokens.
+export const up = async (tx) => {
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME,
+      revoke_reason TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+    );
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP TABLE IF EXISTS refresh_tokens;
+    DROP TABLE IF EXISTS user_sessions;
+  `);
+};
@@ -0,0 +1,37 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Activación de usuarios, tokens de recuperación de contraseña y bandeja de salida de correos
+export const up = async (tx) => {
+  await addColumn(tx, 'users', 'is_active', 'INTEGER DEFAULT 1');
+  await addColumn(tx, 'users', 'deactivated_at', 'DATETIME');
+
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS mail_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipient TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME
+    );
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP TABLE IF EXISTS mail_outbox;
+    DROP TABLE IF EXISTS password_reset_tokens;
+  `);
+  await dropColumn(tx, 'users', 'deactivated_at');
+  await dropColumn(tx, 'users', 'is_active');
+};
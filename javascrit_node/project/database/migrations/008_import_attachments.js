@@ -0,0 +1,30 @@
+// Documentos adjuntos de las importaciones (BL, facturas, certificados...). El archivo
+// vive en el almacenamiento configurado; aquí solo se guardan sus metadatos.
+export const up = async (tx) => {
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS import_attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      document_type TEXT NOT NULL,
+      description TEXT,
+      file_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      checksum_sha256 TEXT NOT NULL,
+      storage_key TEXT UNIQUE NOT NULL,
+      uploaded_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (import_id) REFERENCES imports(id),
+      FOREIGN KEY (uploaded_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_import_attachments_import ON import_attachments(import_id);
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP INDEX IF EXISTS idx_import_attachments_import;
+    DROP TABLE IF EXISTS import_attachments;
+  `);
+};
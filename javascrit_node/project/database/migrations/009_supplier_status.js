@@ -0,0 +1,14 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Activación de proveedores: uno desactivado conserva su historial pero no recibe órdenes nuevas
+export const up = async (tx) => {
+  await addColumn(tx, 'suppliers', 'is_active', 'INTEGER DEFAULT 1');
+  await addColumn(tx, 'suppliers', 'deactivated_at', 'DATETIME');
+  await addColumn(tx, 'suppliers', 'updated_at', 'DATETIME');
+};
+
+export const down = async (tx) => {
+  await dropColumn(tx, 'suppliers', 'updated_at');
+  await dropColumn(tx, 'suppliers', 'deactivated_at');
+  await dropColumn(tx, 'suppliers', 'is_active');
+};
@@ -0,0 +1,66 @@
+// Outbox de eventos de dominio (escrito en la misma transacción que el cambio),
+// cursores de sus consumidores y webhooks salientes con su registro de entregas
+export const up = async (tx) => {
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS event_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id TEXT UNIQUE NOT NULL,
+      type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      request_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS event_consumers (
+      name TEXT PRIMARY KEY,
+      last_event_id INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL,
+      event_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_attempt_at DATETIME,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      replay_of INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME,
+      FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id),
+      FOREIGN KEY (event_id) REFERENCES event_outbox(id),
+      FOREIGN KEY (replay_of) REFERENCES webhook_deliveries(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, id);
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP INDEX IF EXISTS idx_webhook_deliveries_subscription;
+    DROP INDEX IF EXISTS idx_webhook_deliveries_due;
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhook_subscriptions;
+    DROP TABLE IF EXISTS event_consumers;
+    DROP TABLE IF EXISTS event_outbox;
+  `);
+};
@@ -0,0 +1,33 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Bus de eventos interno: servicio de origen de cada evento, reintentos por
+// consumidor y eventos descartados tras agotar los reintentos
+export const up = async (tx) => {
+  await addColumn(tx, 'event_outbox', 'source', 'TEXT');
+  await addColumn(tx, 'event_consumers', 'attempts', 'INTEGER DEFAULT 0');
+  await addColumn(tx, 'event_consumers', 'last_error', 'TEXT');
+
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS event_dead_letters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      consumer TEXT NOT NULL,
+      event_id INTEGER NOT NULL,
+      attempts INTEGER NOT NULL,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES event_outbox(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_event_outbox_type ON event_outbox(type, id);
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP INDEX IF EXISTS idx_event_outbox_type;
+    DROP TABLE IF EXISTS event_dead_letters;
+  `);
+  await dropColumn(tx, 'event_consumers', 'last_error');
+  await dropColumn(tx, 'event_consumers', 'attempts');
+  await dropColumn(tx, 'event_outbox', 'source');
+};
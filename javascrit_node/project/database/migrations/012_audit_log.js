@@ -0,0 +1,45 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Registro de auditoría de los cambios de datos. Es de solo inserción: los triggers
+// rechazan cualquier UPDATE o DELETE sobre la tabla.
+export const up = async (tx) => {
+  // Usuario que originó cada evento, para que los consumidores del bus lo atribuyan
+  await addColumn(tx, 'event_outbox', 'actor_id', 'INTEGER');
+
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service TEXT,
+      actor_id INTEGER,
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      request_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'audit_log es de solo inserción');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'audit_log es de solo inserción');
+    END;
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP TRIGGER IF EXISTS audit_log_no_delete;
+    DROP TRIGGER IF EXISTS audit_log_no_update;
+    DROP TABLE IF EXISTS audit_log;
+  `);
+  await dropColumn(tx, 'event_outbox', 'actor_id');
+};
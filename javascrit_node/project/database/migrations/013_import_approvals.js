@@ -0,0 +1,52 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Flujo de aprobación de importaciones: reglas que lo exigen, nivel de aprobación
+// de cada usuario y decisiones tomadas sobre cada importación
+export const up = async (tx) => {
+  // Nivel máximo que puede aprobar el usuario (NULL = no es aprobador)
+  await addColumn(tx, 'users', 'approval_level', 'INTEGER');
+  // Niveles que exige la importación y cuántos lleva aprobados
+  await addColumn(tx, 'imports', 'approval_levels_required', 'INTEGER DEFAULT 0');
+  await addColumn(tx, 'imports', 'approved_levels', 'INTEGER DEFAULT 0');
+
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS approval_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      min_amount DECIMAL(12,2),
+      supplier_id INTEGER,
+      category TEXT,
+      levels INTEGER NOT NULL DEFAULT 1,
+      is_active INTEGER DEFAULT 1,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS import_approvals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      level INTEGER NOT NULL,
+      decision TEXT NOT NULL,
+      comment TEXT,
+      decided_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (import_id) REFERENCES imports(id),
+      FOREIGN KEY (decided_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_import_approvals_import ON import_approvals(import_id, id);
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP TABLE IF EXISTS import_approvals;
+    DROP TABLE IF EXISTS approval_rules;
+  `);
+  await dropColumn(tx, 'imports', 'approved_levels');
+  await dropColumn(tx, 'imports', 'approval_levels_required');
+  await dropColumn(tx, 'users', 'approval_level');
+};
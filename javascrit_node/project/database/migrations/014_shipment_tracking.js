@@ -0,0 +1,70 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Seguimiento de embarques: eventos de la transportista por importación y la
+// transportista de cada importación. Los cambios de estado automáticos no tienen
+// usuario, así que import_status_history.changed_by pasa a admitir NULL.
+const rebuildStatusHistory = async (tx, changedBy) => {
+  await tx.exec(`
+    CREATE TABLE import_status_history_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      changed_by INTEGER ${changedBy},
+      comment TEXT,
+      tracking_number TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id)
+    );
+
+    INSERT INTO import_status_history_new (id, import_id, from_status, to_status, changed_by, comment, tracking_number, created_at)
+    SELECT h.id, h.import_id, h.from_status, h.to_status,
+           COALESCE(h.changed_by, (SELECT user_id FROM imports WHERE id = h.import_id)),
+           h.comment, h.tracking_number, h.created_at
+    FROM import_status_history h;
+
+    DROP TABLE import_status_history;
+    ALTER TABLE import_status_history_new RENAME TO import_status_history;
+    CREATE INDEX IF NOT EXISTS idx_import_status_history_import ON import_status_history(import_id, created_at);
+  `);
+};
+
+export const up = async (tx) => {
+  await rebuildStatusHistory(tx, '');
+
+  await addColumn(tx, 'imports', 'carrier', 'TEXT');
+  // Primera fecha estimada, antes de que la transportista la actualice (para medir puntualidad)
+  await addColumn(tx, 'imports', 'original_estimated_arrival', 'DATE');
+  await addColumn(tx, 'imports', 'tracking_synced_at', 'DATETIME');
+
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS tracking_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      carrier TEXT NOT NULL,
+      event_key TEXT NOT NULL,
+      event_code TEXT NOT NULL,
+      description TEXT,
+      location TEXT,
+      occurred_at DATETIME NOT NULL,
+      estimated_arrival DATE,
+      recorded_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (import_id) REFERENCES imports(id),
+      FOREIGN KEY (recorded_by) REFERENCES users(id)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_tracking_events_key ON tracking_events(import_id, event_key);
+    CREATE INDEX IF NOT EXISTS idx_tracking_events_import ON tracking_events(import_id, occurred_at);
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec('DROP TABLE IF EXISTS tracking_events');
+  await dropColumn(tx, 'imports', 'tracking_synced_at');
+  await dropColumn(tx, 'imports', 'original_estimated_arrival');
+  await dropColumn(tx, 'imports', 'carrier');
+
+  await rebuildStatusHistory(tx, 'NOT NULL');
+};
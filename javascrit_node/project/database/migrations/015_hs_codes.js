@@ -0,0 +1,34 @@
+// Catálogo de códigos HS: jerarquía (capítulo, partida, subpartida y fracción nacional),
+// tasas arancelarias de referencia y restricciones o permisos de importación.
+// Los códigos se guardan solo con dígitos, igual que products.hs_code desde esta migración.
+export const up = async (tx) => {
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS hs_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      parent_code TEXT,
+      description TEXT NOT NULL,
+      duty_rate DECIMAL(6,4),
+      vat_rate DECIMAL(6,4),
+      restriction TEXT,
+      required_permits TEXT,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_hs_codes_parent ON hs_codes(parent_code);
+
+    UPDATE products
+    SET hs_code = NULLIF(REPLACE(REPLACE(REPLACE(TRIM(hs_code), '.', ''), ' ', ''), '-', ''), '')
+    WHERE hs_code IS NOT NULL;
+  `);
+};
+
+// La normalización de products.hs_code no se revierte: ambos formatos son equivalentes
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP INDEX IF EXISTS idx_hs_codes_parent;
+    DROP TABLE IF EXISTS hs_codes;
+  `);
+};
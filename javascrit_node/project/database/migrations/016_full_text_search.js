@@ -0,0 +1,77 @@
+// Búsqueda de texto completo (FTS5) de productos y proveedores. Los índices se mantienen
+// con triggers, así que cualquier escritura (rutas, carga masiva, consumidores del bus)
+// los deja al día. unicode61 con remove_diacritics ignora mayúsculas y acentos.
+const TOKENIZE = "tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3 4'";
+
+export const up = async (tx) => {
+  await tx.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+      name, description, category, hs_code, supplier_name, ${TOKENIZE}
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS suppliers_fts USING fts5(
+      name, country, contact_email, address, ${TOKENIZE}
+    );
+
+    INSERT INTO products_fts (rowid, name, description, category, hs_code, supplier_name)
+    SELECT p.id, p.name, p.description, p.category, p.hs_code, s.name
+    FROM products p LEFT JOIN suppliers s ON p.supplier_id = s.id;
+
+    INSERT INTO suppliers_fts (rowid, name, country, contact_email, address)
+    SELECT id, name, country, contact_email, address FROM suppliers;
+
+    CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+      INSERT INTO products_fts (rowid, name, description, category, hs_code, supplier_name)
+      VALUES (new.id, new.name, new.description, new.category, new.hs_code,
+              (SELECT name FROM suppliers WHERE id = new.supplier_id));
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS products_fts_update
+    AFTER UPDATE OF name, description, category, hs_code, supplier_id ON products BEGIN
+      UPDATE products_fts
+      SET name = new.name, description = new.description, category = new.category, hs_code = new.hs_code,
+          supplier_name = (SELECT name FROM suppliers WHERE id = new.supplier_id)
+      WHERE rowid = new.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+      DELETE FROM products_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS suppliers_fts_insert AFTER INSERT ON suppliers BEGIN
+      INSERT INTO suppliers_fts (rowid, name, country, contact_email, address)
+      VALUES (new.id, new.name, new.country, new.contact_email, new.address);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS suppliers_fts_update
+    AFTER UPDATE OF name, country, contact_email, address ON suppliers BEGIN
+      UPDATE suppliers_fts
+      SET name = new.name, country = new.country, contact_email = new.contact_email, address = new.address
+      WHERE rowid = new.id;
+    END;
+
+    -- El nombre del proveedor también se busca en sus productos
+    CREATE TRIGGER IF NOT EXISTS suppliers_fts_product_names AFTER UPDATE OF name ON suppliers BEGIN
+      UPDATE products_fts SET supplier_name = new.name
+      WHERE rowid IN (SELECT id FROM products WHERE supplier_id = new.id);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS suppliers_fts_delete AFTER DELETE ON suppliers BEGIN
+      DELETE FROM suppliers_fts WHERE rowid = old.id;
+    END;
+  `);
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP TRIGGER IF EXISTS suppliers_fts_delete;
+    DROP TRIGGER IF EXISTS suppliers_fts_product_names;
+    DROP TRIGGER IF EXISTS suppliers_fts_update;
+    DROP TRIGGER IF EXISTS suppliers_fts_insert;
+    DROP TRIGGER IF EXISTS products_fts_delete;
+    DROP TRIGGER IF EXISTS products_fts_update;
+    DROP TRIGGER IF EXISTS products_fts_insert;
+    DROP TABLE IF EXISTS suppliers_fts;
+    DROP TABLE IF EXISTS products_fts;
+  `);
+};
@@ -0,0 +1,19 @@
+import { addColumn, dropColumn } from '../../config/migrations.js';
+
+// Borrado lógico de productos, proveedores e importaciones: los registros eliminados
+// se ocultan pero se pueden restaurar hasta que un admin los purga
+const TABLES = ['products', 'suppliers', 'imports'];
+
+export const up = async (tx) => {
+  for (const table of TABLES) {
+    await addColumn(tx, table, 'deleted_at', 'DATETIME');
+    await addColumn(tx, table, 'deleted_by', 'INTEGER');
+  }
+};
+
+export const down = async (tx) => {
+  for (const table of [...TABLES].reverse()) {
+    await dropColumn(tx, table, 'deleted_by');
+    await dropColumn(tx, table, 'deleted_at');
+  }
+};
@@ -0,0 +1,69 @@
+// Las tasas por prefijo de duty_rates pasan al catálogo HS, que queda como única fuente
+// de tasas arancelarias (también para el costo puesto en destino). La tasa de duty_rates
+// gana sobre la del catálogo porque es la que se venía aplicando. Un prefijo de largo
+// impar (p. ej. "847") no es un código HS: se carga como sus diez códigos hijos.
+// La lógica del catálogo está copiada aquí para que la migración no cambie con el servicio.
+const MAX_HS_DIGITS = 12;
+
+const catalogueCodes = (prefix) => {
+  if (prefix.length < 2 || prefix.length > MAX_HS_DIGITS) {
+    return [];
+  }
+  return prefix.length % 2 === 0 ? [prefix] : [...Array(10).keys()].map(digit => `${prefix}${digit}`);
+};
+
+// Prefijos de un código de mayor a menor, solo en niveles pares: "847130" → ["847130", "8471", "84"]
+const prefixesOf = (code) => {
+  const prefixes = [code];
+  for (let length = (code.length - 1) - ((code.length - 1) % 2); length >= 2; length -= 2) {
+    prefixes.push(code.slice(0, length));
+  }
+  return prefixes;
+};
+
+// Cada código apunta al código más largo del catálogo que es su prefijo
+const rebuildHierarchy = async (tx) => {
+  const rows = await tx.query('SELECT id, code, parent_code FROM hs_codes');
+  const codes = new Set(rows.map(row => row.code));
+
+  for (const row of rows) {
+    const parent = prefixesOf(row.code).slice(1).find(prefix => codes.has(prefix)) || null;
+    if (parent !== row.parent_code) {
+      await tx.run('UPDATE hs_codes SET parent_code = ? WHERE id = ?', [parent, row.id]);
+    }
+  }
+};
+
+export const up = async (tx) => {
+  const rates = await tx.query('SELECT hs_prefix, duty_rate, vat_rate, description FROM duty_rates ORDER BY hs_prefix');
+
+  for (const rate of rates) {
+    const prefix = (rate.hs_prefix || '').replace(/\D/g, '');
+    for (const code of catalogueCodes(prefix)) {
+      await tx.run(
+        `INSERT INTO hs_codes (code, description, duty_rate, vat_rate) VALUES (?, ?, ?, ?)
+         ON CONFLICT (code) DO UPDATE SET duty_rate = excluded.duty_rate,
+           vat_rate = COALESCE(excluded.vat_rate, hs_codes.vat_rate), updated_at = CURRENT_TIMESTAMP`,
+        [code, rate.description || `Tasa arancelaria del prefijo ${prefix}`, rate.duty_rate, rate.vat_rate]
+      );
+    }
+  }
+
+  await rebuildHierarchy(tx);
+  await tx.exec('DROP TABLE IF EXISTS duty_rates;');
+};
+
+// Las tasas quedan en el catálogo: la tabla vuelve vacía
+export const down = async (tx) => {
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS duty_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hs_prefix TEXT UNIQUE NOT NULL,
+      duty_rate DECIMAL(6,4) NOT NULL,
+      vat_rate DECIMAL(6,4),
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
@@ -0,0 +1,103 @@
+// Copias de proveedores, productos y usuarios para el servicio de importaciones, que
+// deja de leer las tablas de los otros servicios. Desde aquí las mantienen los eventos
+// *.changed; la migración las llena con el estado actual en el mismo formato. El cálculo
+// de las tasas está copiado aquí para que la migración no cambie con el servicio.
+
+// Prefijos de un código de mayor a menor, solo en niveles pares: "847130" → ["847130", "8471", "84"]
+const prefixesOf = (code) => {
+  const prefixes = [code];
+  for (let length = (code.length - 1) - ((code.length - 1) % 2); length >= 2; length -= 2) {
+    prefixes.push(code.slice(0, length));
+  }
+  return prefixes;
+};
+
+// Tasas del nivel más específico del catálogo que las tenga y código del que sale el arancel
+const findTariff = async (tx, code) => {
+  if (!code) {
+    return null;
+  }
+  const specificFirst = await tx.query(
+    `SELECT code, duty_rate, vat_rate FROM hs_codes WHERE code IN (${prefixesOf(code).map(() => '?').join(', ')})
+     ORDER BY LENGTH(code) DESC`,
+    prefixesOf(code)
+  );
+  const duty = specificFirst.find(item => item.duty_rate !== null);
+  if (!duty) {
+    return null;
+  }
+  const vat = specificFirst.find(item => item.vat_rate !== null);
+  return { code: duty.code, duty_rate: duty.duty_rate, vat_rate: vat?.vat_rate ?? null };
+};
+
+export const up = async (tx) => {
+  await tx.exec(`
+    CREATE TABLE IF NOT EXISTS replica_suppliers (
+      id INTEGER PRIMARY KEY,
+      name TEXT,
+      country TEXT,
+      contact_email TEXT,
+      phone TEXT,
+      address TEXT,
+      currency TEXT,
+      is_active INTEGER,
+      deleted_at DATETIME,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS replica_products (
+      id INTEGER PRIMARY KEY,
+      supplier_id INTEGER,
+      name TEXT,
+      description TEXT,
+      category TEXT,
+      hs_code TEXT,
+      weight DECIMAL(8,2),
+      tariff_code TEXT,
+      duty_rate DECIMAL(6,4),
+      vat_rate DECIMAL(6,4),
+      deleted_at DATETIME,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS replica_users (
+      id INTEGER PRIMARY KEY,
+      username TEXT,
+      approval_level INTEGER,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_replica_products_supplier ON replica_products(supplier_id);
+  `);
+
+  await tx.run(
+    `INSERT INTO replica_suppliers (id, name, country, contact_email, phone, address, currency, is_active, deleted_at)
+     SELECT id, name, country, contact_email, phone, address, currency, is_active, deleted_at FROM suppliers`
+  );
+
+  const products = await tx.query(
+    'SELECT id, supplier_id, name, description, category, hs_code, weight, deleted_at FROM products'
+  );
+  for (const product of products) {
+    const tariff = await findTariff(tx, product.hs_code);
+    await tx.run(
+      `INSERT INTO replica_products
+         (id, supplier_id, name, description, category, hs_code, weight, tariff_code, duty_rate, vat_rate, deleted_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        product.id, product.supplier_id, product.name, product.description, product.category, product.hs_code,
+        product.weight, tariff?.code ?? null, tariff?.duty_rate ?? null, tariff?.vat_rate ?? null, product.deleted_at
+      ]
+    );
+  }
+
+  await tx.run('INSERT INTO replica_users (id, username, approval_level) SELECT id, username, approval_level FROM users');
+};
+
+export const down = async (tx) => {
+  await tx.exec(`
+    DROP TABLE IF EXISTS replica_users;
+    DROP TABLE IF EXISTS replica_products;
+    DROP TABLE IF EXISTS replica_suppliers;
+  `);
+};
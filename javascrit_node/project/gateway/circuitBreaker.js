@@ -0,0 +1,85 @@
+import logger from '../config/logger.js';
+
+// Circuit breaker por microservicio:
+//   CLOSED    → las requests pasan; tras `failureThreshold` fallos seguidos se abre
+//   OPEN      → se rechaza de inmediato hasta que pasen `resetTimeoutMs`
+//   HALF_OPEN → se deja pasar una sola request de prueba; si funciona se cierra, si no se vuelve a abrir
+export const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  // Indica si se puede enviar una request; en HALF_OPEN reserva la única prueba permitida
+  tryAcquire() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.probeInFlight = false;
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.probeInFlight = false;
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        this.transition(CIRCUIT_STATES.OPEN);
+      }
+    }
+  }
+
+  // Segundos hasta que se permita la próxima request de prueba
+  retryAfterSeconds() {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000), 0);
+  }
+
+  transition(state) {
+    logger.warn(`Circuit breaker ${this.name}: ${this.state} → ${state}`, { circuit: this.name, from: this.state, to: state });
+    this.state = state;
+    if (state === CIRCUIT_STATES.CLOSED) {
+      this.openedAt = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_after: this.retryAfterSeconds()
+    };
+  }
+}
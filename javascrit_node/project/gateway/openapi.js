@@ -0,0 +1,45 @@
+import axios from 'axios';
+import logger from '../config/logger.js';
+
+// Une los documentos OpenAPI de los microservicios en uno solo para el gateway.
+// Los paths no se repiten entre servicios; los esquemas comunes (Error) son idénticos.
+export const mergeOpenApiDocuments = (documents, { title, version }) => {
+  const merged = {
+    openapi: '3.0.3',
+    info: { title, version },
+    servers: [{ url: '/' }],
+    paths: {},
+    components: { securitySchemes: {}, schemas: {} }
+  };
+
+  for (const document of documents) {
+    Object.assign(merged.paths, document.paths);
+    Object.assign(merged.components.securitySchemes, document.components?.securitySchemes);
+    Object.assign(merged.components.schemas, document.components?.schemas);
+  }
+
+  return merged;
+};
+
+// Descarga el documento de cada servicio. Si alguno no responde se devuelve el resto
+// y se indica cuál falta en `info.x-unavailable-services`.
+export const fetchOpenApiDocument = async (services, info) => {
+  const unavailable = [];
+
+  const documents = await Promise.all(Object.entries(services).map(async ([name, service]) => {
+    try {
+      const response = await axios.get(`${service.url}/openapi.json`, { timeout: service.timeoutMs });
+      return response.data;
+    } catch (error) {
+      logger.warn(`No se pudo obtener la documentación de ${name}`, { error: error.message });
+      unavailable.push(name);
+      return null;
+    }
+  }));
+
+  const merged = mergeOpenApiDocuments(documents.filter(Boolean), info);
+  if (unavailable.length) {
+    merged.info['x-unavailable-services'] = unavailable;
+  }
+  return merged;
+};
@@ -0,0 +1,130 @@
+import axios from 'axios';
+import logger from '../config/logger.js';
+
+// Solo se reintentan métodos seguros: algunos PUT del sistema (por ejemplo los cambios
+// de estado de una importación) no son idempotentes en la práctica
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Respuestas que indican que el servicio (no la request) tiene problemas
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+// Headers que no deben reenviarse tal cual al microservicio
+const EXCLUDED_HEADERS = ['host', 'connection'];
+// Headers de la respuesta del microservicio que no se copian (son propios de cada conexión)
+const EXCLUDED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'transfer-encoding'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isTimeout = (error) => error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+// Backoff exponencial con jitter: base, 2×base, 4×base... ± 50%
+const backoffDelay = (attempt, baseDelayMs) => {
+  const delay = baseDelayMs * 2 ** attempt;
+  return Math.round(delay / 2 + Math.random() * delay);
+};
+
+// Los cuerpos JSON ya fueron parseados por express.json y axios los vuelve a serializar
+// (con otro content-length); el resto (CSV, multipart...) se reenvía como stream
+const forwardedHeaders = (headers, { reserialized }) => {
+  const excluded = reserialized ? [...EXCLUDED_HEADERS, 'content-length'] : EXCLUDED_HEADERS;
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !excluded.includes(name.toLowerCase()))
+  );
+};
+
+// Crea el middleware que reenvía la request a `service` ({ name, url, timeoutMs })
+// respetando su circuit breaker. Los errores de red, timeouts y respuestas 502/503/504
+// cuentan como fallos del servicio; los demás códigos se devuelven al cliente sin más.
+export const createProxy = (service, breaker, { retries = 2, retryBaseDelayMs = 100 } = {}) => {
+  return async (req, res) => {
+    const method = req.method.toUpperCase();
+    const maxAttempts = RETRYABLE_METHODS.includes(method) ? retries + 1 : 1;
+    const hasBody = ['POST', 'PUT', 'PATCH'].includes(method);
+    const streamBody = hasBody && !req.is('application/json');
+
+    const config = {
+      method,
+      // originalUrl conserva la ruta completa y el query string (app.use recorta req.path)
+      url: `${service.url}${req.originalUrl}`,
+      headers: { ...forwardedHeaders(req.headers, { reserialized: hasBody && !streamBody }), 'x-request-id': req.id },
+      timeout: service.timeoutMs,
+      // La respuesta se reenvía como stream y sin descomprimir (JSON, PDF, adjuntos...)
+      // con sus headers, sin cargarla completa en memoria
+      responseType: 'stream',
+      decompress: false,
+      validateStatus: () => true
+    };
+
+    if (hasBody) {
+      config.data = streamBody ? req : req.body;
+      // Sin límite propio: el tamaño máximo lo decide cada microservicio
+      config.maxBodyLength = Infinity;
+    }
+
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (attempt > 0) {
+        await sleep(backoffDelay(attempt - 1, retryBaseDelayMs));
+      }
+
+      if (!breaker.tryAcquire()) {
+        const retryAfter = breaker.retryAfterSeconds();
+        res.set('Retry-After', String(retryAfter));
+        return res.status(503).json({
+          error: 'Servicio no disponible',
+          message: `El servicio ${service.name} está fuera de servicio temporalmente`,
+          retry_after: retryAfter
+        });
+      }
+
+      try {
+        const response = await axios(config);
+
+        if (UNAVAILABLE_STATUSES.includes(response.status)) {
+          breaker.recordFailure();
+          if (attempt < maxAttempts - 1) {
+            // Se descarta el cuerpo para liberar la conexión antes de reintentar
+            response.data.resume();
+            continue;
+          }
+        } else {
+          breaker.recordSuccess();
+        }
+
+        for (const [name, value] of Object.entries(response.headers)) {
+          if (!EXCLUDED_RESPONSE_HEADERS.includes(name.toLowerCase())) {
+            res.set(name, value);
+          }
+        }
+        res.status(response.status);
+        response.data.on('error', (error) => {
+          logger.warn(`Respuesta de ${service.name} interrumpida`, { target: service.name, error: error.message });
+          res.destroy(error);
+        });
+        // Si el cliente corta la descarga no tiene sentido seguir leyendo del servicio
+        res.on('close', () => response.data.destroy());
+        return response.data.pipe(res);
+      } catch (error) {
+        breaker.recordFailure();
+        lastError = error;
+        logger.warn(`Error en proxy hacia ${service.name}`, {
+          target: service.name,
+          attempt: attempt + 1,
+          max_attempts: maxAttempts,
+          error: error.message
+        });
+      }
+    }
+
+    if (isTimeout(lastError)) {
+      return res.status(504).json({
+        error: 'Tiempo de espera agotado',
+        message: `El servicio ${service.name} no respondió en ${service.timeoutMs} ms`
+      });
+    }
+
+    res.status(503).json({
+      error: 'Servicio no disponible',
+      message: 'El microservicio no está respondiendo'
+    });
+  };
+};
@@ -0,0 +1,50 @@
+import logger from '../config/logger.js';
+
+// Políticas de rate limiting por grupo de rutas, de la más específica a la más general. `anonymous` y `authenticated` son el
+// máximo de requests por ventana; los anónimos se cuentan por IP y los autenticados por usuario.
+// Se pueden sobrescribir con la variable RATE_LIMIT_POLICIES (JSON con la misma forma).
+const DEFAULT_POLICIES = {
+  // Login, registro y recuperación de contraseña: protege contra fuerza bruta
+  auth: {
+    paths: ['/api/users/login', '/api/users/register', '/api/users/password-reset'],
+    windowMs: 15 * 60 * 1000,
+    anonymous: 10,
+    authenticated: 10
+  },
+  // Consultas costosas
+  dashboard: {
+    paths: ['/api/imports/stats'],
+    windowMs: 60 * 1000,
+    anonymous: 10,
+    authenticated: 20
+  },
+  // Resto de la API
+  default: {
+    paths: ['/api'],
+    windowMs: 60 * 1000,
+    anonymous: 60,
+    authenticated: 300
+  }
+};
+
+const loadOverrides = () => {
+  if (!process.env.RATE_LIMIT_POLICIES) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.RATE_LIMIT_POLICIES);
+  } catch (error) {
+    logger.error('RATE_LIMIT_POLICIES no es un JSON válido, se usan las políticas por defecto');
+    return {};
+  }
+};
+
+const overrides = loadOverrides();
+
+// Cada request usa la primera política que coincida, por eso `default` va siempre al final
+const names = [...new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])]
+  .sort((a, b) => (a === 'default') - (b === 'default'));
+
+export const RATE_LIMIT_POLICIES = Object.fromEntries(
+  names.map(name => [name, { ...DEFAULT_POLICIES[name], ...overrides[name] }])
+);
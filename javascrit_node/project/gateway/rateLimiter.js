@@ -0,0 +1,111 @@
+import jwt from 'jsonwebtoken';
+import logger from '../config/logger.js';
+
+// Almacén en memoria de contadores por ventana fija. Cualquier otro almacén
+// (por ejemplo Redis, para compartir el estado entre instancias del gateway)
+// solo necesita implementar `increment(key, windowMs)` con la misma respuesta.
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60000 } = {}) {
+    this.counters = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  // Devuelve el número de requests en la ventana actual y cuándo termina (epoch ms)
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count++;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+// Identifica al cliente: usuarios autenticados por su ID (solo si el token tiene
+// firma válida, para que no se pueda evadir el límite inventando IDs) y el resto por IP
+export const identifyClient = (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token && process.env.JWT_SECRET) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // El gateway no consulta la base: este es el único dato de usuario que tiene para sus logs
+      req.user = { id: decoded.userId, role: decoded.role };
+      return { key: `user:${decoded.userId}`, authenticated: true };
+    } catch (error) {
+      // Token inválido o expirado: se limita como tráfico anónimo
+    }
+  }
+
+  return { key: `ip:${req.ip}`, authenticated: false };
+};
+
+// policy: { windowMs, anonymous, authenticated } donde anonymous/authenticated son
+// el máximo de requests por ventana para cada tipo de cliente
+export const createRateLimiter = (name, policy, { store }) => {
+  return async (req, res, next) => {
+    try {
+      const client = identifyClient(req);
+      const limit = client.authenticated ? policy.authenticated : policy.anonymous;
+      const { count, resetAt } = await store.increment(`${name}:${client.key}`, policy.windowMs);
+
+      const windowSeconds = Math.ceil(policy.windowMs / 1000);
+      const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+      res.set({
+        'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(Math.max(limit - count, 0)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (count > limit) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: 'Demasiadas solicitudes',
+          message: `Límite de ${limit} solicitudes cada ${windowSeconds} segundos excedido`,
+          retry_after: resetSeconds
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Si el almacén falla se deja pasar la request en lugar de tumbar el gateway
+      logger.error(`Error en rate limiter ${name}`, { error });
+      next();
+    }
+  };
+};
+
+// Aplica a cada request la primera política cuyo prefijo de ruta coincida,
+// de modo que cada request cuenta solo contra un grupo. Las rutas de Express y del
+// proxy no distinguen mayúsculas, así que la comparación tampoco: si no, /API/users/login
+// llegaría al servicio sin pasar por el límite de `auth`.
+export const createRateLimitMiddleware = (policies, { store }) => {
+  const limiters = Object.entries(policies).map(([name, policy]) => ({
+    paths: policy.paths.map(path => path.toLowerCase()),
+    limiter: createRateLimiter(name, policy, { store })
+  }));
+
+  return (req, res, next) => {
+    // Sin query string, y con el prefijo que recortó app.use
+    const requestPath = `${req.baseUrl}${req.path}`.toLowerCase();
+    const match = limiters.find(({ paths }) => paths.some(path => requestPath.startsWith(path)));
+    return match ? match.limiter(req, res, next) : next();
+  };
+};
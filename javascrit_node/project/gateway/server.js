@@ -1,115 +1,200 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import axios from 'axios';
+import swaggerUi from 'swagger-ui-express';
+import logger from '../config/logger.js';
+import { requestContext, errorHandler } from '../middleware/requestContext.js';
+import { MemoryStore, createRateLimitMiddleware } from './rateLimiter.js';
+import { RATE_LIMIT_POLICIES } from './rateLimitPolicies.js';
+import { SERVICES, PROXY_RETRIES, PROXY_RETRY_BASE_DELAY_MS, CIRCUIT_BREAKER_OPTIONS } from './services.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { createProxy } from './proxy.js';
+import { fetchOpenApiDocument } from './openapi.js';
+
+logger.setService('gateway');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Detrás de un balanceador, req.ip debe salir de X-Forwarded-For para limitar por IP real
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
+app.use(requestContext());
 app.use(express.json({ limit: '10mb' }));
 
-// URLs de los microservicios
-const SERVICES = {
-  users: `http://localhost:${process.env.USERS_SERVICE_PORT || 3003}`,
-  products: `http://localhost:${process.env.PRODUCTS_SERVICE_PORT || 3001}`,
-  imports: `http://localhost:${process.env.IMPORTS_SERVICE_PORT || 3002}`
-};
+// Un circuit breaker por microservicio, compartido por todas sus rutas
+const breakers = Object.fromEntries(
+  Object.keys(SERVICES).map(name => [name, new CircuitBreaker(name, CIRCUIT_BREAKER_OPTIONS)])
+);
 
-// Middleware para proxy de requests
-const proxyRequest = (serviceUrl) => {
-  return async (req, res) => {
-    try {
-      const targetUrl = `${serviceUrl}${req.path}${req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : ''}`;
-      
-      const config = {
-        method: req.method,
-        url: targetUrl,
-        headers: {
-          ...req.headers,
-          host: undefined // Remover header host para evitar conflictos
-        }
-      };
-
-      if (['POST', 'PUT', 'PATCH'].includes(req.method.toUpperCase())) {
-        config.data = req.body;
-      }
-
-      const response = await axios(config);
-      res.status(response.status).json(response.data);
-    } catch (error) {
-      console.error(`Error en proxy hacia ${serviceUrl}:`, error.message);
-      
-      if (error.response) {
-        res.status(error.response.status).json(error.response.data);
-      } else if (error.code === 'ECONNREFUSED') {
-        res.status(503).json({ 
-          error: 'Servicio no disponible',
-          message: 'El microservicio no está respondiendo'
-        });
-      } else {
-        res.status(500).json({ error: 'Error interno del servidor' });
-      }
-    }
-  };
-};
+const proxyRequest = (serviceName) => createProxy(SERVICES[serviceName], breakers[serviceName], {
+  retries: PROXY_RETRIES,
+  retryBaseDelayMs: PROXY_RETRY_BASE_DELAY_MS
+});
 
 // Rutas del gateway
 app.get('/', (req, res) => {
   res.json({
     message: 'Gateway de Microservicios - Sistema de Importaciones',
     version: '1.0.0',
+    documentation: {
+      openapi: '/openapi.json',
+      docs: '/docs'
+    },
     services: {
-      users: `${SERVICES.users}/health`,
-      products: `${SERVICES.products}/health`,
-      imports: `${SERVICES.imports}/health`
+      users: `${SERVICES.users.url}/health`,
+      products: `${SERVICES.products.url}/health`,
+      imports: `${SERVICES.imports.url}/health`
     },
     endpoints: {
       auth: {
         login: 'POST /api/users/login',
-        register: 'POST /api/users/register'
+        register: 'POST /api/users/register',
+        refresh: 'POST /api/users/refresh',
+        logout: 'POST /api/users/logout',
+        passwordResetRequest: 'POST /api/users/password-reset/request',
+        passwordResetConfirm: 'POST /api/users/password-reset/confirm'
+      },
+      account: {
+        me: 'GET /api/users/me',
+        profile: 'GET /api/users/profile/:id',
+        changePassword: 'PUT /api/users/me/password',
+        changeEmail: 'PUT /api/users/me/email'
+      },
+      users: {
+        list: 'GET /api/users',
+        changeRole: 'PUT /api/users/:id/role',
+        approvalLevel: 'PUT /api/users/:id/approval-level',
+        deactivate: 'PUT /api/users/:id/deactivate',
+        reactivate: 'PUT /api/users/:id/reactivate'
       },
       products: {
         list: 'GET /api/products',
+        details: 'GET /api/products/:id',
         create: 'POST /api/products',
-        update: 'PUT /api/products/:id'
+        update: 'PUT /api/products/:id',
+        delete: 'DELETE /api/products/:id',
+        restore: 'POST /api/products/:id/restore',
+        purge: 'DELETE /api/products/:id/purge'
       },
       suppliers: {
         list: 'GET /api/suppliers',
-        create: 'POST /api/suppliers'
+        details: 'GET /api/suppliers/:id',
+        products: 'GET /api/suppliers/:id/products',
+        create: 'POST /api/suppliers',
+        update: 'PUT /api/suppliers/:id',
+        deactivate: 'PUT /api/suppliers/:id/deactivate',
+        reactivate: 'PUT /api/suppliers/:id/reactivate',
+        delete: 'DELETE /api/suppliers/:id',
+        restore: 'POST /api/suppliers/:id/restore',
+        purge: 'DELETE /api/suppliers/:id/purge',
+        scorecard: 'GET /api/suppliers/:id/scorecard',
+        scorecards: 'GET /api/suppliers/scorecards'
+      },
+      hsCodes: {
+        search: 'GET /api/hs-codes',
+        details: 'GET /api/hs-codes/:code',
+        import: 'POST /api/hs-codes/import',
+        update: 'PUT /api/hs-codes/:code'
       },
       imports: {
         list: 'GET /api/imports',
         create: 'POST /api/imports',
         details: 'GET /api/imports/:id',
         updateStatus: 'PUT /api/imports/:id/status',
+        delete: 'DELETE /api/imports/:id',
+        restore: 'POST /api/imports/:id/restore',
+        purge: 'DELETE /api/imports/:id/purge',
+        history: 'GET /api/imports/:id/history',
+        landedCost: 'GET /api/imports/:id/landed-cost',
+        updateCosts: 'PUT /api/imports/:id/costs',
+        documents: 'GET /api/imports/:id/documents/{commercial-invoice|packing-list}.{pdf|csv}',
+        attachments: 'GET /api/imports/:id/attachments',
+        uploadAttachment: 'POST /api/imports/:id/attachments',
+        downloadAttachment: 'GET /api/imports/:id/attachments/:attachmentId',
+        deleteAttachment: 'DELETE /api/imports/:id/attachments/:attachmentId',
+        receipts: 'GET /api/imports/:id/receipts',
+        receive: 'POST /api/imports/:id/receipts',
+        closeOut: 'POST /api/imports/:id/receipts/close',
+        tracking: 'GET /api/imports/:id/tracking',
+        configureTracking: 'PUT /api/imports/:id/tracking',
+        trackingEvents: 'POST /api/imports/:id/tracking/events',
+        syncTracking: 'POST /api/imports/:id/tracking/sync',
         stats: 'GET /api/imports/stats/dashboard'
+      },
+      approvals: {
+        queue: 'GET /api/approvals',
+        details: 'GET /api/imports/:id/approvals',
+        decide: 'POST /api/imports/:id/approvals',
+        editItems: 'PUT /api/imports/:id/items',
+        resubmit: 'POST /api/imports/:id/resubmit',
+        rules: 'GET /api/approval-rules',
+        createRule: 'POST /api/approval-rules',
+        updateRule: 'PUT /api/approval-rules/:id'
+      },
+      exchangeRates: {
+        list: 'GET /api/exchange-rates',
+        create: 'POST /api/exchange-rates',
+        update: 'PUT /api/exchange-rates/:id'
+      },
+      webhooks: {
+        list: 'GET /api/webhooks',
+        create: 'POST /api/webhooks',
+        details: 'GET /api/webhooks/:id',
+        update: 'PUT /api/webhooks/:id',
+        deliveries: 'GET /api/webhooks/:id/deliveries',
+        replay: 'POST /api/webhooks/deliveries/:deliveryId/replay'
+      },
+      audit: {
+        list: 'GET /api/audit'
       }
     }
   });
 });
 
+// Documentación OpenAPI unificada de todos los microservicios
+app.get('/openapi.json', async (req, res) => {
+  try {
+    res.json(await fetchOpenApiDocument(SERVICES, {
+      title: 'Sistema de Importaciones API',
+      version: '1.0.0'
+    }));
+  } catch (error) {
+    logger.error('Error generando documentación OpenAPI', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: 'Sistema de Importaciones - API',
+  swaggerOptions: { url: '/openapi.json' }
+}));
+
 // Health check del gateway
 app.get('/health', async (req, res) => {
   const healthStatus = {
     gateway: 'UP',
     timestamp: new Date().toISOString(),
-    services: {}
+    services: {},
+    circuitBreakers: {}
   };
 
-  // Verificar salud de cada microservicio
-  for (const [serviceName, serviceUrl] of Object.entries(SERVICES)) {
+  // Verificar salud de cada microservicio (en paralelo, con el timeout de cada uno)
+  await Promise.all(Object.entries(SERVICES).map(async ([serviceName, service]) => {
     try {
-      const response = await axios.get(`${serviceUrl}/health`, { timeout: 5000 });
+      await axios.get(`${service.url}/health`, { timeout: service.timeoutMs });
       healthStatus.services[serviceName] = 'UP';
     } catch (error) {
       healthStatus.services[serviceName] = 'DOWN';
     }
-  }
+    healthStatus.circuitBreakers[serviceName] = breakers[serviceName].getStatus();
+  }));
 
   const allServicesUp = Object.values(healthStatus.services).every(status => status === 'UP');
   const httpStatus = allServicesUp ? 200 : 503;
@@ -117,11 +202,20 @@ app.get('/health', async (req, res) => {
   res.status(httpStatus).json(healthStatus);
 });
 
+// Rate limiting por grupo de rutas (el estado vive en memoria de esta instancia)
+app.use('/api', createRateLimitMiddleware(RATE_LIMIT_POLICIES, { store: new MemoryStore() }));
+
 // Proxy routes a los microservicios
-app.use('/api/users/*', proxyRequest(SERVICES.users));
-app.use('/api/products*', proxyRequest(SERVICES.products));
-app.use('/api/suppliers*', proxyRequest(SERVICES.products));
-app.use('/api/imports*', proxyRequest(SERVICES.imports));
+app.use('/api/users*', proxyRequest('users'));
+app.use('/api/audit*', proxyRequest('users'));
+app.use('/api/products*', proxyRequest('products'));
+app.use('/api/suppliers*', proxyRequest('products'));
+app.use('/api/hs-codes*', proxyRequest('products'));
+app.use('/api/imports*', proxyRequest('imports'));
+app.use('/api/exchange-rates*', proxyRequest('imports'));
+app.use('/api/webhooks*', proxyRequest('imports'));
+app.use('/api/approvals*', proxyRequest('imports'));
+app.use('/api/approval-rules*', proxyRequest('imports'));
 
 // Manejo de rutas no encontradas
 app.use('*', (req, res) => {
@@ -132,12 +226,9 @@ app.use('*', (req, res) => {
 });
 
 // Manejo global de errores
-app.use((error, req, res, next) => {
-  console.error('Error no manejado:', error);
-  res.status(500).json({ error: 'Error interno del servidor' });
-});
+app.use(errorHandler);
 
 app.listen(PORT, () => {
-  console.log(`🚀 Gateway corriendo en puerto ${PORT}`);
-  console.log(`📚 Documentación disponible en: http://localhost:${PORT}`);
+  logger.info(`🚀 Gateway corriendo en puerto ${PORT}`);
+  logger.info(`📚 Documentación disponible en: http://localhost:${PORT}`);
 });
\ No newline at end of file
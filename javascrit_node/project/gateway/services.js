@@ -0,0 +1,24 @@
+// Configuración de los microservicios detrás del gateway. Cada URL y timeout se puede
+// sobrescribir por entorno, por ejemplo PRODUCTS_SERVICE_URL=http://products:3001
+const serviceConfig = (name, defaultPort, defaultTimeoutMs) => {
+  const prefix = name.toUpperCase();
+  return {
+    name,
+    url: process.env[`${prefix}_SERVICE_URL`] || `http://localhost:${process.env[`${prefix}_SERVICE_PORT`] || defaultPort}`,
+    timeoutMs: parseInt(process.env[`${prefix}_SERVICE_TIMEOUT_MS`] || defaultTimeoutMs, 10)
+  };
+};
+
+export const SERVICES = {
+  users: serviceConfig('users', 3003, 5000),
+  products: serviceConfig('products', 3001, 5000),
+  imports: serviceConfig('imports', 3002, 10000)
+};
+
+export const PROXY_RETRIES = parseInt(process.env.PROXY_RETRIES || '2', 10);
+export const PROXY_RETRY_BASE_DELAY_MS = parseInt(process.env.PROXY_RETRY_BASE_DELAY_MS || '100', 10);
+
+export const CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS || '30000', 10)
+};
@@ -11,21 +11,34 @@ export const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await db.query('SELECT id, username, email, role FROM users WHERE id = ?', [decoded.userId]);
+
+    // El token solo es válido mientras su sesión no haya sido revocada (logout, reutilización, etc.)
+    // y el usuario siga activo. Lee las tablas del servicio de usuarios desde todos los servicios
+    // a propósito: una revocación debe valer en la request siguiente (ver el README).
+    const user = await db.query(`
+      SELECT u.id, u.username, u.email, u.role
+      FROM users u
+      JOIN user_sessions s ON s.user_id = u.id
+      WHERE u.id = ? AND s.id = ? AND s.revoked_at IS NULL AND u.is_active = 1
+    `, [decoded.userId, decoded.sid]);
     
     if (user.length === 0) {
-      return res.status(403).json({ error: 'Token inválido' });
+      return res.status(401).json({ error: 'Sesión inválida o cerrada' });
     }
 
     req.user = user[0];
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expirado' });
+    }
     return res.status(403).json({ error: 'Token inválido' });
   }
 };
 
 export const authorize = (roles = []) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Usuario no autenticado' });
     }
@@ -36,4 +49,8 @@ export const authorize = (roles = []) => {
 
     next();
   };
-};
\ No newline at end of file
+
+  // La documentación OpenAPI lee los roles exigidos por cada ruta
+  middleware.roles = roles;
+  return middleware;
+};
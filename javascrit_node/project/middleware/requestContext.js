@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+// Se acepta el X-Request-Id del cliente (o del gateway) solo si tiene un formato razonable
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Asigna un request ID, lo devuelve en el header X-Request-Id y en el cuerpo de toda
+// respuesta de error, y registra cada request al terminar. Debe ir antes que las rutas.
+export const requestContext = () => {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.request_id) {
+        body = { ...body, request_id: requestId };
+      }
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger.log(level, 'request completed', {
+        request_id: requestId,
+        user_id: req.user?.id ?? null,
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || null,
+        path: req.originalUrl,
+        status: res.statusCode,
+        latency_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100
+      });
+    });
+
+    logger.context.run({ requestId, req }, next);
+  };
+};
+
+// Manejador final de errores: errores del body parser (JSON mal formado) y excepciones no capturadas
+export const errorHandler = (error, req, res, next) => {
+  const status = error.status || error.statusCode || 500;
+
+  if (status >= 500) {
+    logger.error('Error no manejado', { error });
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+
+  res.status(status).json({ error: error.type === 'entity.parse.failed' ? 'JSON mal formado' : error.message });
+};
@@ -0,0 +1,55 @@
+import db from '../config/database.js';
+import { getStatus, migrate, rollback } from '../config/migrations.js';
+
+// Uso: node scripts/migrate.js [up | down [pasos] | status]
+const [command = 'up', argument] = process.argv.slice(2);
+
+const commands = {
+  up: async () => {
+    const applied = await migrate();
+    if (applied.length === 0) {
+      console.log('✅ La base de datos está al día');
+      return;
+    }
+    applied.forEach(migration => console.log(`⬆️  ${migration.version}_${migration.name}`));
+    console.log(`✅ ${applied.length} migración(es) aplicada(s)`);
+  },
+
+  down: async () => {
+    const steps = argument ? parseInt(argument, 10) : 1;
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('El número de pasos debe ser un entero positivo');
+    }
+
+    const reverted = await rollback(steps);
+    if (reverted.length === 0) {
+      console.log('No hay migraciones para revertir');
+      return;
+    }
+    reverted.forEach(migration => console.log(`⬇️  ${migration.version}_${migration.name}`));
+    console.log(`✅ ${reverted.length} migración(es) revertida(s)`);
+  },
+
+  status: async () => {
+    const status = await getStatus();
+    status.forEach(migration => {
+      const mark = migration.applied ? `✅ aplicada ${migration.applied_at}` : '⏳ pendiente';
+      console.log(`${migration.version}_${migration.name}  ${mark}`);
+    });
+  }
+};
+
+if (!commands[command]) {
+  console.error(`Comando desconocido: ${command}. Usa up, down o status`);
+  process.exit(1);
+}
+
+try {
+  await db.connect();
+  await commands[command]();
+} catch (error) {
+  console.error('Error ejecutando migraciones:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,118 @@
+import bcrypt from 'bcryptjs';
+import db from '../config/database.js';
+import { ensureMigrated } from '../config/migrations.js';
+import { rebuildHsHierarchy } from '../services/products/hsCodes.js';
+import { publishProduct, publishSupplier } from '../services/products/events.js';
+import { publishUser } from '../services/users/events.js';
+
+// Datos de prueba opcionales. Se puede ejecutar varias veces: no duplica registros.
+const users = [
+  { username: 'admin', email: 'admin@imports.com', password: 'admin123', role: 'admin' },
+  { username: 'importer1', email: 'importer1@company.com', password: 'user123', role: 'user' }
+];
+
+const suppliers = [
+  ['Tech Supplies China', 'China', 'contact@techsupplies.cn', '+86-138-0013-8000', 'Shenzhen, Guangdong', 'CNY'],
+  ['European Electronics', 'Alemania', 'sales@euroelectronics.de', '+49-30-12345678', 'Berlin, Germany', 'EUR'],
+  ['Global Components', 'Taiwan', 'info@globalcomp.tw', '+886-2-1234-5678', 'Taipei, Taiwan', 'TWD']
+];
+
+const products = [
+  ['Smartphone XYZ', 'Smartphone de alta gama', 299.99, 'Electronics', 'Tech Supplies China', 50, '85171200', 0.18],
+  ['Laptop ABC', 'Laptop profesional', 899.99, 'Electronics', 'European Electronics', 25, '84713001', 2.1],
+  ['Tablet DEF', 'Tablet para uso general', 199.99, 'Electronics', 'Tech Supplies China', 30, '84713002', 0.5],
+  ['Auriculares GHI', 'Auriculares inalámbricos', 89.99, 'Accessories', 'Global Components', 100, '85183000', 0.25]
+];
+
+// Extracto del catálogo HS: código, descripción, tasa arancelaria y permisos exigidos
+const hsCodes = [
+  ['84', 'Reactores nucleares, calderas, máquinas, aparatos y artefactos mecánicos', null, null],
+  ['8471', 'Máquinas automáticas para tratamiento o procesamiento de datos', 0.00, null],
+  ['847130', 'Máquinas portátiles de peso inferior o igual a 10 kg', 0.00, null],
+  ['84713001', 'Computadoras portátiles', null, null],
+  ['84713002', 'Tabletas', null, null],
+  ['85', 'Máquinas, aparatos y material eléctrico', null, null],
+  ['8517', 'Teléfonos y demás aparatos de transmisión o recepción de voz, imagen u otros datos', 0.00, '["Homologación de telecomunicaciones"]'],
+  ['851712', 'Teléfonos móviles y los de otras redes inalámbricas', 0.00, null],
+  ['85171200', 'Teléfonos inteligentes', null, null],
+  ['8518', 'Micrófonos, altavoces y auriculares', 0.05, null],
+  ['851830', 'Auriculares, incluso combinados con micrófono', 0.05, null],
+  ['85183000', 'Auriculares, incluso combinados con micrófono', null, null]
+];
+
+const exchangeRates = [
+  ['CNY', 'USD', 0.1380, '2025-01-01'],
+  ['EUR', 'USD', 1.0350, '2025-01-01'],
+  ['TWD', 'USD', 0.0305, '2025-01-01']
+];
+
+const seed = async (tx) => {
+  for (const user of users) {
+    const hashedPassword = await bcrypt.hash(user.password, 10);
+    await tx.run(
+      'INSERT OR IGNORE INTO users (username, email, password, role) VALUES (?, ?, ?, ?)',
+      [user.username, user.email, hashedPassword, user.role]
+    );
+  }
+
+  for (const [name, country, contactEmail, phone, address, currency] of suppliers) {
+    const existing = await tx.query('SELECT id FROM suppliers WHERE name = ?', [name]);
+    if (existing.length === 0) {
+      await tx.run(
+        'INSERT INTO suppliers (name, country, contact_email, phone, address, currency) VALUES (?, ?, ?, ?, ?, ?)',
+        [name, country, contactEmail, phone, address, currency]
+      );
+    }
+  }
+
+  for (const [name, description, price, category, supplierName, stock, hsCode, weight] of products) {
+    const [supplier] = await tx.query('SELECT id FROM suppliers WHERE name = ?', [supplierName]);
+    const existing = await tx.query('SELECT id FROM products WHERE name = ? AND supplier_id = ?', [name, supplier.id]);
+    if (existing.length === 0) {
+      await tx.run(
+        `INSERT INTO products (name, description, price, category, supplier_id, stock, hs_code, weight)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, description, price, category, supplier.id, stock, hsCode, weight]
+      );
+    }
+  }
+
+  for (const [code, description, dutyRate, requiredPermits] of hsCodes) {
+    await tx.run(
+      'INSERT OR IGNORE INTO hs_codes (code, description, duty_rate, required_permits) VALUES (?, ?, ?, ?)',
+      [code, description, dutyRate, requiredPermits]
+    );
+  }
+  await rebuildHsHierarchy(tx);
+
+  for (const [currency, baseCurrency, rate, effectiveDate] of exchangeRates) {
+    await tx.run(
+      'INSERT OR IGNORE INTO exchange_rates (currency, base_currency, rate, effective_date) VALUES (?, ?, ?, ?)',
+      [currency, baseCurrency, rate, effectiveDate]
+    );
+  }
+
+  // Como cualquier cambio en usuarios, proveedores y productos, la carga se publica en el
+  // bus para que el servicio de importaciones actualice sus copias
+  for (const user of await tx.query('SELECT id FROM users ORDER BY id')) {
+    await publishUser(tx, user.id);
+  }
+  for (const supplier of await tx.query('SELECT id FROM suppliers ORDER BY id')) {
+    await publishSupplier(tx, supplier.id);
+  }
+  for (const product of await tx.query('SELECT id FROM products ORDER BY id')) {
+    await publishProduct(tx, product.id);
+  }
+};
+
+try {
+  await db.connect();
+  await ensureMigrated();
+  await db.transaction(seed);
+  console.log('✅ Datos de prueba insertados');
+} catch (error) {
+  console.error('Error insertando datos de prueba:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
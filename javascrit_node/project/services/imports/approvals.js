@@ -0,0 +1,211 @@
+import db from '../../config/database.js';
+import { auditCreate, auditDelete, auditUpdate } from '../../config/audit.js';
+import { recordEvent } from '../../config/outbox.js';
+import { syncReplicas } from './replicas.js';
+
+// Aprobación de importaciones. Las reglas activas que coinciden con una importación
+// (monto en moneda base, proveedor o categoría de sus productos) definen cuántos
+// niveles de aprobación necesita; la importación queda en awaiting_approval hasta
+// que un aprobador distinto aprueba cada nivel, en orden.
+
+export const APPROVAL_DECISIONS = ['approved', 'rejected', 'changes_requested'];
+export const MAX_APPROVAL_LEVELS = 5;
+
+// Estado al que lleva cada decisión (aprobar solo cambia el estado en el último nivel)
+const DECISION_STATUSES = {
+  approved: 'pending',
+  rejected: 'rejected',
+  changes_requested: 'changes_requested'
+};
+
+// Error del flujo de aprobación con el código HTTP que debe devolver la ruta
+export class ApprovalError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// `amount` en la moneda base; `productIds` para las reglas por categoría. `tx` puede ser
+// `db` fuera de una transacción.
+export const findApprovalRules = async (tx, { supplierId, amount, productIds }) => {
+  return tx.query(`
+    SELECT * FROM approval_rules
+    WHERE is_active = 1
+      AND (min_amount IS NULL OR ? >= min_amount)
+      AND (supplier_id IS NULL OR supplier_id = ?)
+      AND (category IS NULL OR category IN (
+        SELECT category FROM replica_products WHERE id IN (${productIds.map(() => '?').join(', ')})
+      ))
+    ORDER BY levels DESC, id
+  `, [amount, supplierId, ...productIds]);
+};
+
+export const requiredLevels = (rules) => Math.max(0, ...rules.map(rule => rule.levels));
+
+// Decisiones de la ronda actual: las posteriores a la última petición de cambios
+const currentRoundApprovals = (tx, importId) => {
+  return tx.query(`
+    SELECT * FROM import_approvals
+    WHERE import_id = ? AND decision = 'approved'
+      AND id > COALESCE((
+        SELECT MAX(id) FROM import_approvals WHERE import_id = ? AND decision != 'approved'
+      ), 0)
+  `, [importId, importId]);
+};
+
+// Cambia el estado dentro de `tx` con la misma traza que PUT /api/imports/:id/status.
+// La condición sobre el estado y los niveles aprobados evita pisar una decisión concurrente.
+const applyStatus = async (tx, importRecord, { status, approvedLevels, levelsRequired, userId, comment }) => {
+  const result = await auditUpdate(tx, { entity: 'import', table: 'imports', id: importRecord.id, action: 'approval' }, () => tx.run(
+    `UPDATE imports SET status = ?, approved_levels = ?, approval_levels_required = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ? AND approved_levels = ?`,
+    [status, approvedLevels, levelsRequired, importRecord.id, importRecord.status, importRecord.approved_levels]
+  ));
+
+  if (result.changes === 0) {
+    throw new ApprovalError('La importación fue modificada por otra operación, intenta nuevamente');
+  }
+
+  if (status !== importRecord.status) {
+    await tx.run(
+      'INSERT INTO import_status_history (import_id, from_status, to_status, changed_by, comment) VALUES (?, ?, ?, ?, ?)',
+      [importRecord.id, importRecord.status, status, userId, comment || null]
+    );
+    await recordEvent(tx, 'import.status_changed', {
+      import_id: importRecord.id,
+      import_code: importRecord.import_code,
+      from_status: importRecord.status,
+      to_status: status,
+      tracking_number: null,
+      comment: comment || null,
+      changed_by: userId
+    });
+  }
+};
+
+// Se lee dentro de la transacción que decide, así las validaciones ven el estado vigente
+const findImport = async (tx, importId) => {
+  const imports = await tx.query(
+    `SELECT id, import_code, user_id, supplier_id, status, approval_levels_required, approved_levels,
+            total_amount * COALESCE(exchange_rate, 1) as base_amount
+     FROM imports WHERE id = ? AND deleted_at IS NULL`,
+    [importId]
+  );
+  if (imports.length === 0) {
+    throw new ApprovalError('Importación no encontrada', 404);
+  }
+  return imports[0];
+};
+
+// Registra la decisión de `user` sobre el siguiente nivel pendiente de la importación
+export const recordDecision = (importId, user, { decision, comment }) => db.transaction(async (tx) => {
+  const importRecord = await findImport(tx, importId);
+  if (importRecord.status !== 'awaiting_approval') {
+    throw new ApprovalError(`La importación no está pendiente de aprobación (estado ${importRecord.status})`);
+  }
+
+  const level = importRecord.approved_levels + 1;
+  const findApprover = () => tx.query('SELECT approval_level FROM replica_users WHERE id = ?', [user.id]);
+  let [approver] = await findApprover();
+  // Un nivel recién asignado puede no haber llegado aún a la copia de usuarios
+  if (!approver?.approval_level || approver.approval_level < level) {
+    await syncReplicas();
+    [approver] = await findApprover();
+  }
+  if (!approver?.approval_level || approver.approval_level < level) {
+    throw new ApprovalError(`No tienes permiso para aprobar el nivel ${level}`, 403);
+  }
+
+  if (importRecord.user_id === user.id) {
+    throw new ApprovalError('No puedes aprobar tus propias importaciones', 403);
+  }
+
+  const approvals = await currentRoundApprovals(tx, importRecord.id);
+  if (approvals.some(approval => approval.decided_by === user.id)) {
+    throw new ApprovalError('Ya aprobaste un nivel de esta importación; el siguiente debe aprobarlo otra persona');
+  }
+
+  const result = await tx.run(
+    'INSERT INTO import_approvals (import_id, level, decision, comment, decided_by) VALUES (?, ?, ?, ?, ?)',
+    [importRecord.id, level, decision, comment || null, user.id]
+  );
+  await auditCreate(tx, { entity: 'import_approval', table: 'import_approvals', id: result.id });
+
+  const approved = decision === 'approved';
+  const complete = approved && level >= importRecord.approval_levels_required;
+  await applyStatus(tx, importRecord, {
+    status: approved && !complete ? importRecord.status : DECISION_STATUSES[decision],
+    approvedLevels: approved ? level : importRecord.approved_levels,
+    levelsRequired: importRecord.approval_levels_required,
+    userId: user.id,
+    comment
+  });
+
+  const [saved] = await tx.query('SELECT * FROM import_approvals WHERE id = ?', [result.id]);
+  return saved;
+});
+
+// Con cambios solicitados los items de la orden se reemplazan por `items` (ya validados
+// contra el proveedor) y el total se recalcula. El tipo de cambio congelado no cambia.
+export const replaceImportItems = (importId, { items }) => db.transaction(async (tx) => {
+  const [importRecord] = await tx.query(
+    'SELECT id, status, currency FROM imports WHERE id = ? AND deleted_at IS NULL',
+    [importId]
+  );
+  if (!importRecord) {
+    throw new ApprovalError('Importación no encontrada', 404);
+  }
+  if (importRecord.status !== 'changes_requested') {
+    throw new ApprovalError(`Solo se pueden editar los items de importaciones con cambios solicitados (estado ${importRecord.status})`);
+  }
+
+  const previousItems = await tx.query('SELECT id FROM import_items WHERE import_id = ?', [importId]);
+  for (const item of previousItems) {
+    await auditDelete(tx, { entity: 'import_item', table: 'import_items', id: item.id });
+  }
+  await tx.run('DELETE FROM import_items WHERE import_id = ?', [importId]);
+
+  let totalAmount = 0;
+  for (const item of items) {
+    const totalPrice = item.quantity * item.unit_price;
+    totalAmount += totalPrice;
+    const result = await tx.run(
+      'INSERT INTO import_items (import_id, product_id, quantity, unit_price, total_price, currency) VALUES (?, ?, ?, ?, ?, ?)',
+      [importId, item.product_id, item.quantity, item.unit_price, totalPrice, importRecord.currency]
+    );
+    await auditCreate(tx, { entity: 'import_item', table: 'import_items', id: result.id });
+  }
+
+  await auditUpdate(tx, { entity: 'import', table: 'imports', id: importId }, () => tx.run(
+    'UPDATE imports SET total_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [totalAmount, importId]
+  ));
+});
+
+// Después de una petición de cambios la importación vuelve a evaluarse contra las
+// reglas vigentes y empieza una ronda de aprobación nueva desde el primer nivel
+export const resubmitImport = (importId, user, { comment }) => db.transaction(async (tx) => {
+  const importRecord = await findImport(tx, importId);
+  if (importRecord.status !== 'changes_requested') {
+    throw new ApprovalError(`Solo se pueden reenviar importaciones con cambios solicitados (estado ${importRecord.status})`);
+  }
+
+  const items = await tx.query('SELECT DISTINCT product_id FROM import_items WHERE import_id = ?', [importRecord.id]);
+  const rules = await findApprovalRules(tx, {
+    supplierId: importRecord.supplier_id,
+    amount: importRecord.base_amount,
+    productIds: items.map(item => item.product_id)
+  });
+  const levels = requiredLevels(rules);
+
+  await applyStatus(tx, importRecord, {
+    status: levels > 0 ? 'awaiting_approval' : 'pending',
+    approvedLevels: 0,
+    levelsRequired: levels,
+    userId: user.id,
+    comment
+  });
+
+  return { levels, rules };
+});
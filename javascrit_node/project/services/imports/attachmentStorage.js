@@ -0,0 +1,53 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+// Almacenamiento de los archivos adjuntos. Cualquier otro backend (por ejemplo S3)
+// solo necesita implementar write(key, stream), createReadStream(key) y remove(key)
+// y registrarse en STORAGE_BACKENDS.
+export class LocalDiskStorage {
+  constructor({ directory }) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  // Las claves las genera el servicio; se rechaza cualquier intento de salir del directorio
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(`${this.directory}${path.sep}`)) {
+      throw new Error(`Clave de almacenamiento inválida: ${key}`);
+    }
+    return filePath;
+  }
+
+  async write(key, stream) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(filePath, { flags: 'wx' }));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+export const STORAGE_BACKENDS = {
+  local: () => new LocalDiskStorage({ directory: process.env.ATTACHMENT_STORAGE_DIR || './storage/attachments' })
+};
+
+export const createStorage = (backend = process.env.ATTACHMENT_STORAGE || 'local') => {
+  const factory = STORAGE_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Backend de almacenamiento desconocido: ${backend}`);
+  }
+  return factory();
+};
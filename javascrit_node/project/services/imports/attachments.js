@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import multer from 'multer';
+import { createStorage } from './attachmentStorage.js';
+
+// Documentos adjuntos de una importación: el archivo se escribe en el almacenamiento
+// mientras se recibe (sin cargarlo en memoria) calculando su tamaño y SHA-256.
+
+export const ATTACHMENT_DOCUMENT_TYPES = [
+  'bill_of_lading',
+  'commercial_invoice',
+  'packing_list',
+  'certificate_of_origin',
+  'insurance_certificate',
+  'customs_declaration',
+  'other'
+];
+
+const MAX_FILE_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024), 10);
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/tiff',
+  'text/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+export const ALLOWED_MIME_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+export const storage = createStorage();
+
+// Error del archivo recibido, con el código HTTP que debe devolver la ruta
+export class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Motor de almacenamiento de multer que delega en el backend configurado
+const storageEngine = {
+  _handleFile(req, file, cb) {
+    const key = `${req.params.id}/${crypto.randomUUID()}`;
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const measure = new Transform({
+      transform(chunk, encoding, done) {
+        hash.update(chunk);
+        size += chunk.length;
+        done(null, chunk);
+      }
+    });
+
+    storage.write(key, file.stream.pipe(measure))
+      .then(() => cb(null, { storage_key: key, size, checksum_sha256: hash.digest('hex') }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.storage_key) return cb(null);
+    storage.remove(file.storage_key).then(() => cb(null), cb);
+  }
+};
+
+const upload = multer({
+  storage: storageEngine,
+  limits: { fileSize: MAX_FILE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    // multer entrega el nombre decodificado como latin1; los navegadores lo envían en UTF-8
+    file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype.toLowerCase())) {
+      return cb(new AttachmentError(`Tipo de archivo no permitido: ${file.mimetype}`, 415));
+    }
+    cb(null, true);
+  }
+});
+
+// Recibe el archivo del campo multipart `file` en req.file y el resto de campos en req.body
+export const receiveAttachment = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const status = error.status || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+      return res.status(status).json({ error: `Archivo inválido: ${error.message}` });
+    }
+    next();
+  });
+};
+
+// "factura final.pdf" → se conserva el nombre, pero sin comillas ni saltos de línea que
+// rompan el header; filename* lleva el nombre completo en UTF-8
+export const contentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
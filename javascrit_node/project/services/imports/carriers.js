@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+
+// Adaptadores de transportistas. Cada adaptador traduce el seguimiento de su
+// transportista al formato común de eventos:
+//   { external_id?, code, description?, location?, occurred_at, estimated_arrival? }
+// con `code` uno de TRACKING_EVENT_CODES. Cualquier otro adaptador (la API de una
+// naviera, un courier) solo necesita implementar fetchEvents(trackingNumber) y
+// registrarse en CARRIER_ADAPTERS.
+
+// Código normalizado → estado al que lleva la importación (null = solo informativo)
+export const TRACKING_EVENT_CODES = {
+  picked_up: 'shipped',
+  departed: 'in_transit',
+  in_transit: 'in_transit',
+  arrived: 'in_transit',
+  customs_hold: 'customs',
+  customs_released: 'in_transit',
+  out_for_delivery: null,
+  delivered: 'delivered',
+  exception: null,
+  eta_updated: null
+};
+
+// Lee el seguimiento de archivos JSON (<directorio>/<tracking_number>.json con un
+// arreglo de eventos). Sirve para pruebas y para transportistas que entregan
+// archivos en lugar de una API.
+export class FileCarrierAdapter {
+  constructor({ directory }) {
+    this.directory = path.resolve(directory);
+  }
+
+  async fetchEvents(trackingNumber) {
+    if (!/^[\w-]+$/.test(trackingNumber)) {
+      throw new Error(`Número de guía inválido: ${trackingNumber}`);
+    }
+
+    try {
+      const content = await fs.promises.readFile(path.join(this.directory, `${trackingNumber}.json`), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      // La transportista todavía no tiene eventos para esta guía
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+export const CARRIER_ADAPTERS = {
+  file: () => new FileCarrierAdapter({ directory: process.env.TRACKING_FILE_DIR || './storage/tracking' })
+};
+
+const adapters = new Map();
+
+export const getCarrierAdapter = (carrier) => {
+  const factory = CARRIER_ADAPTERS[carrier];
+  if (!factory) {
+    throw new Error(`Transportista desconocida: ${carrier}`);
+  }
+  if (!adapters.has(carrier)) {
+    adapters.set(carrier, factory());
+  }
+  return adapters.get(carrier);
+};
@@ -0,0 +1,82 @@
+import db from '../../config/database.js';
+
+// Moneda en la que se reportan los totales del dashboard
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Las fechas se guardan como YYYY-MM-DD para poder compararlas en SQL
+export const toIsoDate = (date) => {
+  if (!date) {
+    return null;
+  }
+  return new Date(date).toISOString().slice(0, 10);
+};
+
+// Tipo de cambio vigente en una fecha: unidades de `base` por unidad de `currency`.
+// Si solo existe la cotización inversa se usa su recíproco.
+export const findExchangeRate = async (currency, base, date) => {
+  if (currency === base) {
+    return { rate: 1, effective_date: date };
+  }
+
+  const direct = await db.query(
+    `SELECT rate, effective_date FROM exchange_rates
+     WHERE currency = ? AND base_currency = ? AND effective_date <= ?
+     ORDER BY effective_date DESC LIMIT 1`,
+    [currency, base, date]
+  );
+  if (direct.length > 0) {
+    return direct[0];
+  }
+
+  const inverse = await db.query(
+    `SELECT rate, effective_date FROM exchange_rates
+     WHERE currency = ? AND base_currency = ? AND effective_date <= ?
+     ORDER BY effective_date DESC LIMIT 1`,
+    [base, currency, date]
+  );
+  if (inverse.length > 0) {
+    return { rate: 1 / inverse[0].rate, effective_date: inverse[0].effective_date };
+  }
+
+  return null;
+};
+
+// Convierte montos de importaciones a la moneda de reporte. Usa el tipo de cambio
+// congelado en la orden para llegar a su moneda base y, si la moneda de reporte es
+// otra, el tipo de cambio base → reporte vigente en la fecha de la importación. Acepta
+// también un grupo de importaciones con los mismos datos de conversión y el total sumado.
+export const createConverter = (target) => {
+  const cache = new Map();
+
+  const cachedRate = async (currency, date) => {
+    const key = `${currency}:${date}`;
+    if (!cache.has(key)) {
+      cache.set(key, await findExchangeRate(currency, target, date));
+    }
+    return cache.get(key);
+  };
+
+  return async (importRecord) => {
+    const amount = importRecord.total_amount || 0;
+
+    if (importRecord.currency === target) {
+      return amount;
+    }
+
+    const date = toIsoDate(importRecord.import_date) || toIsoDate(Date.now());
+
+    if (importRecord.base_currency && importRecord.exchange_rate) {
+      const baseAmount = amount * importRecord.exchange_rate;
+      if (importRecord.base_currency === target) {
+        return baseAmount;
+      }
+      const rate = await cachedRate(importRecord.base_currency, date);
+      if (rate) {
+        return baseAmount * rate.rate;
+      }
+    }
+
+    const rate = await cachedRate(importRecord.currency, date);
+    return rate ? amount * rate.rate : null;
+  };
+};
@@ -0,0 +1,106 @@
+import db from '../../config/database.js';
+import { auditDelete, auditUpdate } from '../../config/audit.js';
+import { DELETABLE_STATUSES } from './statusMachine.js';
+
+// Borrado lógico de importaciones. Solo se eliminan las que no tienen mercadería en
+// camino; una eliminada desaparece de listados, estadísticas y scorecards, se puede
+// restaurar y un admin puede purgarla junto con todo su historial.
+
+// Error de borrado con el código HTTP que debe devolver la ruta
+export class DeletionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Filas que cuelgan de la importación, en el orden en que se purgan. Las que tienen
+// entidad de auditoría se registran una por una.
+const IMPORT_CHILDREN = [
+  { table: 'goods_receipt_lines', where: 'receipt_id IN (SELECT id FROM goods_receipts WHERE import_id = ?)' },
+  { table: 'goods_receipts', where: 'import_id = ?' },
+  { table: 'import_items', where: 'import_id = ?', entity: 'import_item' },
+  { table: 'import_status_history', where: 'import_id = ?' },
+  { table: 'import_approvals', where: 'import_id = ?', entity: 'import_approval' },
+  { table: 'tracking_events', where: 'import_id = ?' },
+  { table: 'import_attachments', where: 'import_id = ?', entity: 'import_attachment' }
+];
+
+const findImport = async (tx, id) => {
+  const imports = await tx.query('SELECT * FROM imports WHERE id = ?', [id]);
+  if (imports.length === 0) {
+    throw new DeletionError('Importación no encontrada', 404);
+  }
+  return imports[0];
+};
+
+export const deleteImport = (id, user) => db.transaction(async (tx) => {
+  const importRecord = await findImport(tx, id);
+  if (importRecord.deleted_at) {
+    throw new DeletionError('La importación ya está eliminada');
+  }
+
+  if (!DELETABLE_STATUSES.includes(importRecord.status)) {
+    throw new DeletionError(
+      `No se puede eliminar una importación en estado ${importRecord.status}; solo en ${DELETABLE_STATUSES.join(', ')}`
+    );
+  }
+
+  await auditUpdate(tx, { entity: 'import', table: 'imports', id, action: 'delete' }, () => tx.run(
+    'UPDATE imports SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [user.id, id]
+  ));
+});
+
+// El proveedor y los productos de la orden deben seguir existiendo
+export const restoreImport = (id) => db.transaction(async (tx) => {
+  const importRecord = await findImport(tx, id);
+  if (!importRecord.deleted_at) {
+    throw new DeletionError('La importación no está eliminada');
+  }
+
+  const [supplier] = await tx.query('SELECT deleted_at FROM replica_suppliers WHERE id = ?', [importRecord.supplier_id]);
+  if (!supplier || supplier.deleted_at) {
+    throw new DeletionError('El proveedor de la importación está eliminado; restáuralo primero');
+  }
+
+  const deletedProducts = await tx.query(`
+    SELECT DISTINCT p.id FROM import_items ii JOIN replica_products p ON ii.product_id = p.id
+    WHERE ii.import_id = ? AND p.deleted_at IS NOT NULL
+    ORDER BY p.id
+  `, [id]);
+  if (deletedProducts.length > 0) {
+    throw new DeletionError(`Los productos ${deletedProducts.map(product => product.id).join(', ')} están eliminados; restáuralos primero`);
+  }
+
+  await auditUpdate(tx, { entity: 'import', table: 'imports', id, action: 'restore' }, () => tx.run(
+    'UPDATE imports SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [id]
+  ));
+});
+
+// Borra la importación y todo lo que cuelga de ella. Devuelve las claves de almacenamiento
+// de sus adjuntos para que la ruta borre los archivos una vez confirmada la transacción.
+export const purgeImport = (id) => db.transaction(async (tx) => {
+  const importRecord = await findImport(tx, id);
+  if (!importRecord.deleted_at) {
+    throw new DeletionError('Solo se pueden purgar importaciones eliminadas');
+  }
+
+  const attachments = await tx.query('SELECT storage_key FROM import_attachments WHERE import_id = ?', [id]);
+
+  for (const { table, where, entity } of IMPORT_CHILDREN) {
+    if (entity) {
+      const rows = await tx.query(`SELECT id FROM ${table} WHERE ${where}`, [id]);
+      for (const row of rows) {
+        await auditDelete(tx, { entity, table, id: row.id, action: 'purge' });
+      }
+    }
+    await tx.run(`DELETE FROM ${table} WHERE ${where}`, [id]);
+  }
+
+  await auditDelete(tx, { entity: 'import', table: 'imports', id, action: 'purge' });
+  await tx.run('DELETE FROM imports WHERE id = ?', [id]);
+
+  return attachments.map(attachment => attachment.storage_key);
+});
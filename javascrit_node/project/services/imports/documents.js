@@ -0,0 +1,246 @@
+import PDFDocument from 'pdfkit';
+import { normalizeHsCode } from './landedCost.js';
+
+// Documentos de embarque de una importación: factura comercial y lista de empaque,
+// en PDF o CSV. Ambos incluyen el resumen por código HS con el peso bruto total.
+
+export const DOCUMENT_TYPES = {
+  'commercial-invoice': 'Factura comercial',
+  'packing-list': 'Lista de empaque'
+};
+
+export const DOCUMENT_FORMATS = ['pdf', 'csv'];
+
+// Datos del importador que aparecen como comprador en los documentos
+const COMPANY = {
+  name: process.env.COMPANY_NAME || 'Sistema de Importaciones',
+  address: process.env.COMPANY_ADDRESS || null,
+  taxId: process.env.COMPANY_TAX_ID || null
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const round3 = (value) => Math.round((value + Number.EPSILON) * 1000) / 1000;
+
+// Reúne los datos de ambos documentos. `items` trae el hs_code y el peso unitario
+// (kg) del producto; los productos sin peso suman 0 y se marcan en `missing_weight`.
+export const buildDocumentData = ({ importRecord, supplier, items }) => {
+  const lines = items.map((item, index) => {
+    const unitWeight = item.weight || 0;
+    return {
+      line: index + 1,
+      product_id: item.product_id,
+      product_name: item.product_name,
+      description: item.product_description || '',
+      hs_code: item.hs_code || '',
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      line_total: round2(item.quantity * item.unit_price),
+      unit_weight: unitWeight,
+      gross_weight: round3(item.quantity * unitWeight)
+    };
+  });
+
+  const byHsCode = new Map();
+  for (const line of lines) {
+    const key = normalizeHsCode(line.hs_code);
+    const summary = byHsCode.get(key) || { hs_code: line.hs_code || 'Sin código HS', quantity: 0, value: 0, gross_weight: 0 };
+    summary.quantity += line.quantity;
+    summary.value = round2(summary.value + line.line_total);
+    summary.gross_weight = round3(summary.gross_weight + line.gross_weight);
+    byHsCode.set(key, summary);
+  }
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.line_total, 0));
+  const freight = importRecord.freight_cost || 0;
+  const insurance = importRecord.insurance_cost || 0;
+
+  return {
+    import_code: importRecord.import_code,
+    import_date: importRecord.import_date,
+    estimated_arrival: importRecord.estimated_arrival,
+    tracking_number: importRecord.tracking_number,
+    currency: importRecord.currency,
+    supplier: {
+      name: supplier.name,
+      country: supplier.country,
+      address: supplier.address,
+      contact_email: supplier.contact_email,
+      phone: supplier.phone
+    },
+    importer: {
+      name: COMPANY.name,
+      address: COMPANY.address,
+      tax_id: COMPANY.taxId,
+      contact: importRecord.created_by
+    },
+    lines,
+    hs_summary: [...byHsCode.values()].sort((a, b) => a.hs_code.localeCompare(b.hs_code)),
+    totals: {
+      quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal,
+      freight,
+      insurance,
+      total: round2(subtotal + freight + insurance),
+      gross_weight: round3(lines.reduce((sum, line) => sum + line.gross_weight, 0))
+    },
+    missing_weight: lines.some(line => !line.unit_weight)
+  };
+};
+
+// Columnas de cada documento: [título, campo]
+const LINE_COLUMNS = {
+  'commercial-invoice': [
+    ['#', 'line'], ['Producto', 'product_name'], ['Descripción', 'description'], ['Código HS', 'hs_code'],
+    ['Cantidad', 'quantity'], ['Precio unitario', 'unit_price'], ['Total', 'line_total'], ['Peso bruto (kg)', 'gross_weight']
+  ],
+  'packing-list': [
+    ['#', 'line'], ['Producto', 'product_name'], ['Código HS', 'hs_code'], ['Cantidad', 'quantity'],
+    ['Peso unitario (kg)', 'unit_weight'], ['Peso bruto (kg)', 'gross_weight']
+  ]
+};
+
+const HS_COLUMNS = {
+  'commercial-invoice': [['Código HS', 'hs_code'], ['Cantidad', 'quantity'], ['Valor', 'value'], ['Peso bruto (kg)', 'gross_weight']],
+  'packing-list': [['Código HS', 'hs_code'], ['Cantidad', 'quantity'], ['Peso bruto (kg)', 'gross_weight']]
+};
+
+const totalRows = (type, data) => {
+  const { totals, currency } = data;
+  if (type === 'packing-list') {
+    return [['Cantidad total', totals.quantity], ['Peso bruto total (kg)', totals.gross_weight]];
+  }
+  return [
+    [`Subtotal (${currency})`, totals.subtotal],
+    ['Flete', totals.freight],
+    ['Seguro', totals.insurance],
+    [`Total (${currency})`, totals.total],
+    ['Peso bruto total (kg)', totals.gross_weight]
+  ];
+};
+
+const headerRows = (type, data) => [
+  ['Documento', DOCUMENT_TYPES[type]],
+  ['Importación', data.import_code],
+  ['Fecha', data.import_date],
+  ['Proveedor', data.supplier.name],
+  ['País de origen', data.supplier.country],
+  ['Importador', data.importer.name],
+  ['Moneda', data.currency],
+  ...(data.tracking_number ? [['Guía', data.tracking_number]] : [])
+];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLines = (rows) => rows.map(row => row.map(csvCell).join(','));
+
+// CSV en secciones separadas por una línea vacía: encabezado, líneas, resumen por HS y totales
+export const renderCsv = (type, data) => {
+  const lineColumns = LINE_COLUMNS[type];
+  const hsColumns = HS_COLUMNS[type];
+
+  return [
+    ...csvLines(headerRows(type, data)),
+    '',
+    ...csvLines([lineColumns.map(([title]) => title), ...data.lines.map(line => lineColumns.map(([, field]) => line[field]))]),
+    '',
+    ...csvLines([hsColumns.map(([title]) => title), ...data.hs_summary.map(row => hsColumns.map(([, field]) => row[field]))]),
+    '',
+    ...csvLines(totalRows(type, data))
+  ].join('\r\n') + '\r\n';
+};
+
+// Ancho relativo de cada columna en el PDF
+const COLUMN_WEIGHTS = { line: 0.4, product_name: 2, description: 2.4, hs_code: 1.1 };
+
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const weights = columns.map(([, field]) => COLUMN_WEIGHTS[field] || 1);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const widths = weights.map(weight => (weight / totalWeight) * width);
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...cells.map((cell, index) => doc.heightOfString(String(cell ?? ''), { width: widths[index] - 4 }))) + 4;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, index) => {
+      const align = typeof cell === 'number' ? 'right' : 'left';
+      doc.text(String(cell ?? ''), x + 2, y + 2, { width: widths[index] - 4, align });
+      x += widths[index];
+    });
+    doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).strokeColor('#999999').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(([title]) => title), { bold: true });
+  for (const row of rows) {
+    drawRow(columns.map(([, field]) => row[field]));
+  }
+  doc.moveDown();
+};
+
+const partyBlock = (doc, title, lines, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).text(title, x, y, { width });
+  doc.font('Helvetica').fontSize(9);
+  for (const line of lines.filter(Boolean)) {
+    doc.text(line, { width });
+  }
+  return doc.y;
+};
+
+export const renderPdf = (type, data) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `${DOCUMENT_TYPES[type]} ${data.import_code}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(DOCUMENT_TYPES[type].toUpperCase(), { align: 'center' });
+    doc.font('Helvetica').fontSize(10)
+      .text(`Importación ${data.import_code} · Fecha ${data.import_date || '-'} · Moneda ${data.currency}`, { align: 'center' });
+    if (data.tracking_number) {
+      doc.text(`Guía ${data.tracking_number}`, { align: 'center' });
+    }
+    doc.moveDown();
+
+    const top = doc.y;
+    const { supplier, importer } = data;
+    const sellerBottom = partyBlock(doc, 'Vendedor / Exportador', [
+      supplier.name, supplier.address, supplier.country, supplier.contact_email, supplier.phone
+    ], left, top, width / 2 - 10);
+    const buyerBottom = partyBlock(doc, 'Comprador / Importador', [
+      importer.name, importer.address, importer.tax_id && `ID fiscal: ${importer.tax_id}`, importer.contact && `Contacto: ${importer.contact}`
+    ], left + width / 2 + 10, top, width / 2 - 10);
+    doc.x = left;
+    doc.y = Math.max(sellerBottom, buyerBottom);
+    doc.moveDown();
+
+    drawTable(doc, LINE_COLUMNS[type], data.lines);
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Resumen por código HS');
+    doc.moveDown(0.3);
+    drawTable(doc, HS_COLUMNS[type], data.hs_summary);
+
+    drawTable(doc, [['Total', 'label'], ['', 'value']], totalRows(type, data).map(([label, value]) => ({ label, value })));
+
+    if (data.missing_weight) {
+      doc.font('Helvetica-Oblique').fontSize(8).text('Hay productos sin peso registrado; su peso no se incluye en los totales.');
+    }
+
+    doc.end();
+  });
+};
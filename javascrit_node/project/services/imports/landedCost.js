@@ -0,0 +1,106 @@
+// Cálculo del costo puesto en destino (landed cost) de una importación.
+//
+// Por cada item:
+//   valor mercancía = cantidad * precio unitario
+//   flete           = flete total prorrateado por peso o por valor
+//   seguro          = seguro total prorrateado por valor
+//   valor aduana    = mercancía + flete + seguro (CIF)
+//   arancel         = valor aduana * tasa arancelaria del código HS según el catálogo
+//                     (el servicio de productos la resuelve y la envía con el producto)
+//   IVA             = (valor aduana + arancel) * tasa de IVA
+//   costo total     = valor aduana + arancel + IVA
+
+export const FREIGHT_ALLOCATIONS = ['weight', 'value'];
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Los códigos HS se comparan solo por sus dígitos: "8471.30.01" y "84713001" son equivalentes
+export const normalizeHsCode = (hsCode) => (hsCode || '').replace(/\D/g, '');
+
+export const calculateLandedCost = ({
+  items,
+  freightCost = 0,
+  insuranceCost = 0,
+  freightAllocation = 'weight',
+  defaultDutyRate = 0,
+  defaultVatRate = 0
+}) => {
+  const warnings = [];
+
+  const lines = items.map((item) => {
+    const goodsValue = item.quantity * item.unit_price;
+    const totalWeight = item.quantity * (item.weight || 0);
+    return { item, goodsValue, totalWeight };
+  });
+
+  const totalValue = lines.reduce((sum, line) => sum + line.goodsValue, 0);
+  const totalWeight = lines.reduce((sum, line) => sum + line.totalWeight, 0);
+
+  let allocation = freightAllocation;
+  if (allocation === 'weight' && freightCost > 0) {
+    if (totalWeight === 0) {
+      allocation = 'value';
+      warnings.push('Ningún producto tiene peso registrado; el flete se prorrateó por valor');
+    } else if (lines.some((line) => line.totalWeight === 0)) {
+      warnings.push('Hay productos sin peso registrado; no reciben parte del flete');
+    }
+  }
+
+  const breakdown = lines.map(({ item, goodsValue, totalWeight: lineWeight }) => {
+    const valueShare = totalValue > 0 ? goodsValue / totalValue : 0;
+    const weightShare = totalWeight > 0 ? lineWeight / totalWeight : 0;
+    const freight = freightCost * (allocation === 'weight' ? weightShare : valueShare);
+    const insurance = insuranceCost * valueShare;
+    const customsValue = goodsValue + freight + insurance;
+
+    const hasTariff = item.duty_rate !== null && item.duty_rate !== undefined;
+    if (!hasTariff) {
+      warnings.push(`Sin tasa arancelaria para el producto ${item.product_id} (HS ${item.hs_code || 'no informado'}); se aplicó la tasa por defecto`);
+    }
+    const dutyRate = hasTariff ? item.duty_rate : defaultDutyRate;
+    const vatRate = hasTariff && item.vat_rate !== null && item.vat_rate !== undefined ? item.vat_rate : defaultVatRate;
+
+    const duty = customsValue * dutyRate;
+    const vat = (customsValue + duty) * vatRate;
+    const landedTotal = customsValue + duty + vat;
+
+    return {
+      import_item_id: item.id,
+      product_id: item.product_id,
+      product_name: item.product_name,
+      hs_code: item.hs_code,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      total_weight: round2(lineWeight),
+      goods_value: round2(goodsValue),
+      freight: round2(freight),
+      insurance: round2(insurance),
+      customs_value: round2(customsValue),
+      tariff_code: hasTariff ? item.tariff_code : null,
+      duty_rate: dutyRate,
+      duty: round2(duty),
+      vat_rate: vatRate,
+      vat: round2(vat),
+      landed_total: round2(landedTotal),
+      landed_unit_cost: round2(landedTotal / item.quantity)
+    };
+  });
+
+  const sum = (field) => round2(breakdown.reduce((total, line) => total + line[field], 0));
+
+  return {
+    freight_allocation: allocation,
+    items: breakdown,
+    totals: {
+      total_weight: round2(totalWeight),
+      goods_value: sum('goods_value'),
+      freight: sum('freight'),
+      insurance: sum('insurance'),
+      customs_value: sum('customs_value'),
+      duty: sum('duty'),
+      vat: sum('vat'),
+      landed_total: sum('landed_total')
+    },
+    warnings
+  };
+};
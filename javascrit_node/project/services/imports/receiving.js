@@ -0,0 +1,47 @@
+// Recepción de mercancía: cantidades recibidas por línea y diferencias contra lo pedido
+
+// Estados en los que la mercancía puede llegar a bodega
+export const RECEIVABLE_STATUSES = ['shipped', 'in_transit', 'customs'];
+
+// Cantidad de una línea que todavía no fue recibida ni cerrada
+export const outstandingQuantity = (item) => {
+  const accounted = (item.received_quantity || 0) + (item.damaged_quantity || 0) + (item.closed_quantity || 0);
+  return Math.max(item.quantity - accounted, 0);
+};
+
+export const lineDiscrepancies = (item) => {
+  const discrepancies = [];
+  const received = (item.received_quantity || 0) + (item.damaged_quantity || 0);
+
+  if (item.damaged_quantity > 0) {
+    discrepancies.push({ type: 'damaged', quantity: item.damaged_quantity });
+  }
+  if (received > item.quantity) {
+    discrepancies.push({ type: 'over', quantity: received - item.quantity });
+  }
+  if (item.closed_quantity > 0) {
+    discrepancies.push({ type: 'short', quantity: item.closed_quantity });
+  }
+
+  return discrepancies;
+};
+
+export const summarizeReceipt = (items) => {
+  const lines = items.map((item) => ({
+    import_item_id: item.id,
+    product_id: item.product_id,
+    product_name: item.product_name,
+    ordered_quantity: item.quantity,
+    received_quantity: item.received_quantity || 0,
+    damaged_quantity: item.damaged_quantity || 0,
+    closed_quantity: item.closed_quantity || 0,
+    outstanding_quantity: outstandingQuantity(item),
+    discrepancies: lineDiscrepancies(item)
+  }));
+
+  return {
+    fully_received: lines.every((line) => line.outstanding_quantity === 0),
+    has_discrepancies: lines.some((line) => line.discrepancies.length > 0),
+    lines
+  };
+};
@@ -0,0 +1,87 @@
+// Copias locales de los datos de otros servicios que usa el de importaciones: proveedores
+// y productos (servicio de productos, con las tasas del catálogo HS ya resueltas) y el
+// nombre y nivel de aprobación de los usuarios (servicio de usuarios). Se mantienen con
+// los eventos *.changed del bus, que llevan el estado completo del registro, así que van
+// como mucho una pasada del bus por detrás del servicio dueño (syncReplicas las pone al
+// día en el momento). Este servicio solo lee las tablas replica_*, nunca las de los otros
+// servicios.
+
+import db from '../../config/database.js';
+import { consumeEvents } from '../../config/eventBus.js';
+
+export const REPLICA_CONSUMER = 'imports.replicas';
+export const REPLICA_EVENTS = ['supplier.changed', 'product.changed', 'user.changed'];
+// Lotes que se aplican en el momento antes de desistir y pedir al cliente que reintente
+const MAX_SYNC_BATCHES = 10;
+
+// Las copias no pudieron ponerse al día: el dato puede existir, hay que reintentar
+export class ReplicaSyncError extends Error {
+  constructor(message = 'La copia local de productos, proveedores y usuarios aún no está sincronizada, intenta nuevamente', status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const REPLICAS = {
+  'supplier.changed': {
+    table: 'replica_suppliers',
+    key: 'supplier_id',
+    record: data => data.supplier,
+    columns: ['name', 'country', 'contact_email', 'phone', 'address', 'currency', 'is_active', 'deleted_at']
+  },
+  'product.changed': {
+    table: 'replica_products',
+    key: 'product_id',
+    record: data => data.product && {
+      ...data.product,
+      tariff_code: data.product.tariff?.code ?? null,
+      duty_rate: data.product.tariff?.duty_rate ?? null,
+      vat_rate: data.product.tariff?.vat_rate ?? null
+    },
+    columns: [
+      'supplier_id', 'name', 'description', 'category', 'hs_code', 'weight', 'tariff_code', 'duty_rate', 'vat_rate', 'deleted_at'
+    ]
+  },
+  'user.changed': {
+    table: 'replica_users',
+    key: 'user_id',
+    record: data => data.user,
+    columns: ['username', 'approval_level']
+  }
+};
+
+// Guarda el estado que trae el evento; un registro null (purgado) se borra de la copia
+export const applyReplicaEvent = async (tx, { type, data }) => {
+  const { table, key, record, columns } = REPLICAS[type];
+  const values = record(data);
+
+  if (!values) {
+    await tx.run(`DELETE FROM ${table} WHERE id = ?`, [data[key]]);
+    return;
+  }
+
+  await tx.run(
+    `INSERT INTO ${table} (id, ${columns.join(', ')}, synced_at) VALUES (?, ${columns.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+     ON CONFLICT (id) DO UPDATE SET ${columns.map(column => `${column} = excluded.${column}`).join(', ')},
+       synced_at = CURRENT_TIMESTAMP`,
+    [data[key], ...columns.map(column => values[column] ?? null)]
+  );
+};
+
+// Aplica ya los eventos pendientes de las copias, para usar antes de dar por inexistente
+// (o desactualizado) un registro que falta: el servicio dueño publica el evento en la
+// misma transacción del cambio, así que con las copias al día la falta es real. Lanza
+// ReplicaSyncError si un evento falla o quedan demasiados pendientes.
+export const syncReplicas = async () => {
+  for (let batch = 0; batch < MAX_SYNC_BATCHES; batch++) {
+    const processed = await consumeEvents({ name: REPLICA_CONSUMER, types: REPLICA_EVENTS, handler: applyReplicaEvent });
+    if (processed === 0) {
+      return;
+    }
+    const [consumer] = await db.query('SELECT attempts FROM event_consumers WHERE name = ?', [REPLICA_CONSUMER]);
+    if (consumer.attempts > 0) {
+      break;
+    }
+  }
+  throw new ReplicaSyncError();
+};
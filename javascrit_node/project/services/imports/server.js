@@ -1,37 +1,273 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import Joi from 'joi';
 import db from '../../config/database.js';
+import logger from '../../config/logger.js';
+import { ensureMigrated } from '../../config/migrations.js';
+import { EventBus } from '../../config/eventBus.js';
+import { auditCreate, auditDelete, auditUpdate } from '../../config/audit.js';
+import { recordEvent } from '../../config/outbox.js';
+import { serveOpenApi } from '../../config/openapi.js';
+import { deletedCondition, deletedFilter, listOf, listQuerySchema, paginate } from '../../config/pagination.js';
+import { requestContext, errorHandler } from '../../middleware/requestContext.js';
 import { authenticateToken, authorize } from '../../middleware/auth.js';
+import { IMPORT_STATUSES, allowedTransitions, canTransition } from './statusMachine.js';
+import {
+  APPROVAL_DECISIONS, ApprovalError, MAX_APPROVAL_LEVELS, findApprovalRules, recordDecision, replaceImportItems, requiredLevels,
+  resubmitImport
+} from './approvals.js';
+import { FREIGHT_ALLOCATIONS, calculateLandedCost } from './landedCost.js';
+import { BASE_CURRENCY, createConverter, findExchangeRate, toIsoDate } from './currency.js';
+import { REPLICA_CONSUMER, REPLICA_EVENTS, ReplicaSyncError, applyReplicaEvent, syncReplicas } from './replicas.js';
+import { RECEIVABLE_STATUSES, outstandingQuantity, summarizeReceipt } from './receiving.js';
+import { DOCUMENT_FORMATS, DOCUMENT_TYPES, buildDocumentData, renderCsv, renderPdf } from './documents.js';
+import { DeletionError, deleteImport, purgeImport, restoreImport } from './deletion.js';
+import { ALLOWED_MIME_TYPES, ATTACHMENT_DOCUMENT_TYPES, contentDisposition, receiveAttachment, storage } from './attachments.js';
+import { CARRIER_ADAPTERS } from './carriers.js';
+import { TrackingError, ingestTrackingEvents, startTrackingPoller, syncTracking, trackingEventSchema } from './tracking.js';
+import { DELIVERY_STATUSES, WEBHOOK_EVENTS, fanOutWebhooks, generateSecret, startWebhookWorker } from './webhooks.js';
+
+logger.setService('imports');
 
 const app = express();
 const PORT = process.env.IMPORTS_SERVICE_PORT || 3002;
+const DEFAULT_DUTY_RATE = parseFloat(process.env.DEFAULT_DUTY_RATE || '0');
+const DEFAULT_VAT_RATE = parseFloat(process.env.DEFAULT_VAT_RATE || '0.16');
 
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
+app.use(requestContext());
 app.use(express.json({ limit: '10mb' }));
 
 // Esquemas de validación
+const importItemsArray = Joi.array().items(
+  Joi.object({
+    product_id: Joi.number().integer().positive().required(),
+    quantity: Joi.number().integer().positive().required(),
+    unit_price: Joi.number().positive().required(),
+    currency: Joi.string().length(3).uppercase()
+  })
+).min(1);
+
 const importSchema = Joi.object({
   supplier_id: Joi.number().integer().positive().required(),
   import_date: Joi.date().required(),
   estimated_arrival: Joi.date(),
   notes: Joi.string().max(500),
-  items: Joi.array().items(
+  currency: Joi.string().length(3).uppercase(),
+  freight_cost: Joi.number().min(0).default(0),
+  insurance_cost: Joi.number().min(0).default(0),
+  freight_allocation: Joi.string().valid(...FREIGHT_ALLOCATIONS).default('weight'),
+  items: importItemsArray.required()
+});
+
+const statusUpdateSchema = Joi.object({
+  status: Joi.string().valid(...IMPORT_STATUSES).required(),
+  tracking_number: Joi.string().max(100),
+  comment: Joi.string().max(500)
+});
+
+const importCostsSchema = Joi.object({
+  freight_cost: Joi.number().min(0),
+  insurance_cost: Joi.number().min(0),
+  freight_allocation: Joi.string().valid(...FREIGHT_ALLOCATIONS)
+}).min(1);
+
+const exchangeRateSchema = Joi.object({
+  currency: Joi.string().length(3).uppercase().required(),
+  base_currency: Joi.string().length(3).uppercase().default(BASE_CURRENCY),
+  rate: Joi.number().positive().required(),
+  effective_date: Joi.date().required()
+});
+
+// Campos por los que se pueden ordenar los listados y su columna SQL
+const IMPORT_SORT_COLUMNS = {
+  import_code: 'i.import_code',
+  import_date: 'i.import_date',
+  estimated_arrival: 'i.estimated_arrival',
+  total_amount: 'i.total_amount',
+  status: 'i.status',
+  created_at: 'i.created_at'
+};
+
+const EXCHANGE_RATE_SORT_COLUMNS = {
+  currency: 'currency',
+  effective_date: 'effective_date',
+  rate: 'rate'
+};
+
+const importListSchema = listQuerySchema({
+  filters: {
+    status: listOf(Joi.string().valid(...IMPORT_STATUSES)).description('Uno o varios estados separados por comas'),
+    supplier_id: Joi.number().integer().positive(),
+    currency: Joi.string().length(3).uppercase(),
+    search: Joi.string().description('Busca en el código de importación'),
+    from_date: Joi.date().description('Fecha de importación desde (inclusive)'),
+    to_date: Joi.date().min(Joi.ref('from_date')).description('Fecha de importación hasta (inclusive)'),
+    min_total: Joi.number().min(0).description('Valor total mínimo, en la moneda de la importación'),
+    max_total: Joi.number().min(0),
+    deleted: deletedFilter()
+  },
+  sortColumns: IMPORT_SORT_COLUMNS,
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+});
+
+const exchangeRateListSchema = listQuerySchema({
+  filters: {
+    currency: Joi.string().length(3).uppercase(),
+    base_currency: Joi.string().length(3).uppercase(),
+    from_date: Joi.date().description('Fecha de vigencia desde (inclusive)'),
+    to_date: Joi.date().min(Joi.ref('from_date'))
+  },
+  sortColumns: EXCHANGE_RATE_SORT_COLUMNS,
+  defaultSort: 'effective_date',
+  defaultOrder: 'desc'
+});
+
+const exchangeRateUpdateSchema = Joi.object({
+  rate: Joi.number().positive().required()
+});
+
+const dashboardQuerySchema = Joi.object({
+  currency: Joi.string().length(3).uppercase().default(BASE_CURRENCY).description(`Moneda del reporte (por defecto ${BASE_CURRENCY})`)
+});
+
+const goodsReceiptSchema = Joi.object({
+  notes: Joi.string().max(500),
+  lines: Joi.array().items(
     Joi.object({
-      product_id: Joi.number().integer().positive().required(),
-      quantity: Joi.number().integer().positive().required(),
-      unit_price: Joi.number().positive().required()
-    })
+      import_item_id: Joi.number().integer().positive().required(),
+      received_quantity: Joi.number().integer().min(0).default(0),
+      damaged_quantity: Joi.number().integer().min(0).default(0)
+    }).or('received_quantity', 'damaged_quantity')
   ).min(1).required()
 });
 
+const closeOutSchema = Joi.object({
+  reason: Joi.string().max(500).required(),
+  import_item_ids: Joi.array().items(Joi.number().integer().positive()).min(1)
+});
+
+const attachmentSchema = Joi.object({
+  document_type: Joi.string().valid(...ATTACHMENT_DOCUMENT_TYPES).required(),
+  description: Joi.string().max(500)
+});
+
+const webhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  events: Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENTS)).min(1).unique().required()
+    .description('Eventos a recibir; "*" para todos'),
+  description: Joi.string().max(200)
+});
+
+const webhookUpdateSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  events: Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENTS)).min(1).unique(),
+  description: Joi.string().max(200).allow(null),
+  active: Joi.boolean()
+}).min(1);
+
+const trackingConfigSchema = Joi.object({
+  carrier: Joi.string().valid(...Object.keys(CARRIER_ADAPTERS)).allow(null).required()
+    .description('Adaptador de la transportista; null desactiva el seguimiento automático'),
+  tracking_number: Joi.string().max(100).required()
+});
+
+const trackingEventsSchema = Joi.object({
+  carrier: Joi.string().max(50).default('manual').description('Origen de los eventos'),
+  events: Joi.array().items(trackingEventSchema).min(1).max(500).required()
+});
+
+const approvalDecisionSchema = Joi.object({
+  decision: Joi.string().valid(...APPROVAL_DECISIONS).required(),
+  comment: Joi.string().max(500).when('decision', { not: 'approved', then: Joi.required() })
+    .description('Obligatorio al rechazar o pedir cambios')
+});
+
+const resubmitSchema = Joi.object({
+  comment: Joi.string().max(500)
+});
+
+const importItemsUpdateSchema = Joi.object({
+  items: importItemsArray.required().description('Reemplaza todos los items de la importación')
+});
+
+const approvalRuleFields = {
+  name: Joi.string().max(100),
+  min_amount: Joi.number().min(0).allow(null).description('Monto mínimo en la moneda base'),
+  supplier_id: Joi.number().integer().positive().allow(null),
+  category: Joi.string().max(100).allow(null).description('Categoría de alguno de los productos'),
+  levels: Joi.number().integer().min(1).max(MAX_APPROVAL_LEVELS).description('Niveles de aprobación exigidos')
+};
+
+// Una regla sin criterios exigiría aprobación para todas las importaciones
+const approvalRuleSchema = Joi.object({
+  ...approvalRuleFields,
+  name: approvalRuleFields.name.required(),
+  levels: approvalRuleFields.levels.default(1)
+}).or('min_amount', 'supplier_id', 'category');
+
+const approvalRuleUpdateSchema = Joi.object({
+  ...approvalRuleFields,
+  active: Joi.boolean()
+}).min(1);
+
+const APPROVAL_RULE_SORT_COLUMNS = {
+  created_at: 'created_at',
+  min_amount: 'min_amount',
+  levels: 'levels'
+};
+
+const approvalRuleListSchema = listQuerySchema({
+  filters: { active: Joi.boolean() },
+  sortColumns: APPROVAL_RULE_SORT_COLUMNS,
+  defaultSort: 'created_at'
+});
+
+const APPROVAL_QUEUE_SORT_COLUMNS = {
+  created_at: 'i.created_at',
+  total_amount: 'base_amount'
+};
+
+const approvalQueueSchema = listQuerySchema({
+  filters: { supplier_id: Joi.number().integer().positive() },
+  sortColumns: APPROVAL_QUEUE_SORT_COLUMNS,
+  defaultSort: 'created_at'
+});
+
+const WEBHOOK_SORT_COLUMNS = {
+  created_at: 'created_at',
+  url: 'url'
+};
+
+const WEBHOOK_DELIVERY_SORT_COLUMNS = {
+  created_at: 'd.created_at',
+  next_attempt_at: 'd.next_attempt_at'
+};
+
+const webhookListSchema = listQuerySchema({
+  filters: { active: Joi.boolean() },
+  sortColumns: WEBHOOK_SORT_COLUMNS,
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+});
+
+const webhookDeliveryListSchema = listQuerySchema({
+  filters: {
+    status: listOf(Joi.string().valid(...DELIVERY_STATUSES)).description('Uno o varios estados separados por comas'),
+    event_type: Joi.string().valid(...WEBHOOK_EVENTS)
+  },
+  sortColumns: WEBHOOK_DELIVERY_SORT_COLUMNS,
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+});
+
 // Conectar a la base de datos
 await db.connect();
+await ensureMigrated();
 
 // Generar código único de importación
 const generateImportCode = () => {
@@ -40,41 +276,170 @@ const generateImportCode = () => {
   return `IMP-${timestamp}-${random}`.toUpperCase();
 };
 
+const getReceivingItems = (importId) => {
+  return db.query(`
+    SELECT ii.id, ii.product_id, ii.quantity, ii.received_quantity, ii.damaged_quantity,
+           ii.closed_quantity, ii.close_reason, p.name as product_name
+    FROM import_items ii
+    LEFT JOIN replica_products p ON ii.product_id = p.id
+    WHERE ii.import_id = ?
+    ORDER BY ii.id
+  `, [importId]);
+};
+
+// Obtener una importación respetando la propiedad (los usuarios solo ven las suyas).
+// Las eliminadas solo se devuelven con `includeDeleted`.
+const findAccessibleImport = async (id, user, { includeDeleted = false } = {}) => {
+  let query = `
+    SELECT i.*, s.name as supplier_name, s.country as supplier_country,
+           u.username as created_by
+    FROM imports i
+    LEFT JOIN replica_suppliers s ON i.supplier_id = s.id
+    LEFT JOIN replica_users u ON i.user_id = u.id
+    WHERE i.id = ?
+  `;
+  const params = [id];
+
+  if (!includeDeleted) {
+    query += ' AND i.deleted_at IS NULL';
+  }
+
+  if (user.role !== 'admin') {
+    query += ' AND i.user_id = ?';
+    params.push(user.id);
+  }
+
+  const imports = await db.query(query, params);
+  return imports[0] || null;
+};
+
+// Para rutas que no deben empezar a trabajar (p. ej. recibir un archivo) sin
+// comprobar antes el acceso; deja la importación en req.importRecord
+const requireAccessibleImport = async (req, res, next) => {
+  try {
+    const importRecord = await findAccessibleImport(req.params.id, req.user);
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+    req.importRecord = importRecord;
+    next();
+  } catch (error) {
+    logger.error('Error obteniendo importación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
+
+const getAttachments = (importId) => {
+  return db.query(`
+    SELECT a.id, a.import_id, a.document_type, a.description, a.file_name, a.mime_type,
+           a.size_bytes, a.checksum_sha256, a.uploaded_by, u.username as uploaded_by_username, a.created_at
+    FROM import_attachments a
+    LEFT JOIN replica_users u ON a.uploaded_by = u.id
+    WHERE a.import_id = ?
+    ORDER BY a.created_at DESC, a.id DESC
+  `, [importId]);
+};
+
+const findAttachment = (importId, attachmentId) => {
+  return db.query(
+    'SELECT * FROM import_attachments WHERE import_id = ? AND id = ?',
+    [importId, attachmentId]
+  ).then(rows => rows[0] || null);
+};
+
+// El secreto solo se muestra al crear la suscripción
+const WEBHOOK_FIELDS = 'id, url, events, description, is_active, created_by, created_at, updated_at';
+
+const formatWebhook = (webhook) => ({ ...webhook, events: JSON.parse(webhook.events) });
+
+const findWebhook = async (id) => {
+  const webhooks = await db.query(`SELECT ${WEBHOOK_FIELDS} FROM webhook_subscriptions WHERE id = ?`, [id]);
+  return webhooks[0] ? formatWebhook(webhooks[0]) : null;
+};
+
+const getStatusHistory = (importId) => {
+  return db.query(`
+    SELECT h.id, h.from_status, h.to_status, h.comment, h.tracking_number, h.created_at,
+           h.changed_by, u.username as changed_by_username
+    FROM import_status_history h
+    LEFT JOIN replica_users u ON h.changed_by = u.id
+    WHERE h.import_id = ?
+    ORDER BY h.created_at, h.id
+  `, [importId]);
+};
+
 // Rutas de importaciones
 app.get('/api/imports', authenticateToken, async (req, res) => {
   try {
-    const { status, supplier_id } = req.query;
-    let query = `
-      SELECT i.*, s.name as supplier_name, s.country as supplier_country,
-             u.username as created_by
-      FROM imports i
-      LEFT JOIN suppliers s ON i.supplier_id = s.id
-      LEFT JOIN users u ON i.user_id = u.id
-      WHERE 1=1
-    `;
+    const { error, value } = importListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { status, supplier_id, currency, search, from_date, to_date, min_total, max_total, deleted } = value;
+    let where = `WHERE 1=1${deletedCondition('i.deleted_at', deleted)}`;
     const params = [];
 
     if (req.user.role !== 'admin') {
-      query += ' AND i.user_id = ?';
+      where += ' AND i.user_id = ?';
       params.push(req.user.id);
     }
 
-    if (status) {
-      query += ' AND i.status = ?';
-      params.push(status);
+    if (status && status.length > 0) {
+      where += ` AND i.status IN (${status.map(() => '?').join(', ')})`;
+      params.push(...status);
     }
 
     if (supplier_id) {
-      query += ' AND i.supplier_id = ?';
+      where += ' AND i.supplier_id = ?';
       params.push(supplier_id);
     }
 
-    query += ' ORDER BY i.created_at DESC';
+    if (currency) {
+      where += ' AND i.currency = ?';
+      params.push(currency);
+    }
+
+    if (search) {
+      where += ' AND i.import_code LIKE ?';
+      params.push(`%${search}%`);
+    }
+
+    if (from_date) {
+      where += ' AND i.import_date >= ?';
+      params.push(toIsoDate(from_date));
+    }
+
+    if (to_date) {
+      where += ' AND i.import_date <= ?';
+      params.push(toIsoDate(to_date));
+    }
+
+    if (min_total !== undefined) {
+      where += ' AND i.total_amount >= ?';
+      params.push(min_total);
+    }
+
+    if (max_total !== undefined) {
+      where += ' AND i.total_amount <= ?';
+      params.push(max_total);
+    }
+
+    const page = await paginate({
+      select: 'i.*, s.name as supplier_name, s.country as supplier_country, u.username as created_by',
+      from: `FROM imports i
+      LEFT JOIN replica_suppliers s ON i.supplier_id = s.id
+      LEFT JOIN replica_users u ON i.user_id = u.id`,
+      where,
+      params,
+      sortColumns: IMPORT_SORT_COLUMNS,
+      idColumn: 'i.id',
+      query: value
+    });
 
-    const imports = await db.query(query, params);
-    res.json(imports);
+    res.json(page);
   } catch (error) {
-    console.error('Error obteniendo importaciones:', error);
+    logger.error('Error obteniendo importaciones', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -82,25 +447,9 @@ app.get('/api/imports', authenticateToken, async (req, res) => {
 app.get('/api/imports/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    let query = `
-      SELECT i.*, s.name as supplier_name, s.country as supplier_country,
-             u.username as created_by
-      FROM imports i
-      LEFT JOIN suppliers s ON i.supplier_id = s.id
-      LEFT JOIN users u ON i.user_id = u.id
-      WHERE i.id = ?
-    `;
-    const params = [id];
-
-    if (req.user.role !== 'admin') {
-      query += ' AND i.user_id = ?';
-      params.push(req.user.id);
-    }
+    const importRecord = await findAccessibleImport(id, req.user);
 
-    const imports = await db.query(query, params);
-    
-    if (imports.length === 0) {
+    if (!importRecord) {
       return res.status(404).json({ error: 'Importación no encontrada' });
     }
 
@@ -108,156 +457,1799 @@ app.get('/api/imports/:id', authenticateToken, async (req, res) => {
     const items = await db.query(`
       SELECT ii.*, p.name as product_name, p.description as product_description
       FROM import_items ii
-      LEFT JOIN products p ON ii.product_id = p.id
+      LEFT JOIN replica_products p ON ii.product_id = p.id
       WHERE ii.import_id = ?
     `, [id]);
 
+    const history = await getStatusHistory(id);
+
     res.json({
-      ...imports[0],
-      items
+      ...importRecord,
+      items,
+      history
     });
   } catch (error) {
-    console.error('Error obteniendo importación:', error);
+    logger.error('Error obteniendo importación', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-app.post('/api/imports', authenticateToken, async (req, res) => {
+app.get('/api/imports/:id/history', authenticateToken, async (req, res) => {
   try {
-    const { error, value } = importSchema.validate(req.body);
+    const { id } = req.params;
+    const importRecord = await findAccessibleImport(id, req.user);
+
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    const history = await getStatusHistory(id);
+    res.json(history);
+  } catch (error) {
+    logger.error('Error obteniendo historial de estados', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Seguimiento del embarque: eventos de la transportista en orden cronológico
+app.get('/api/imports/:id/tracking', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const importRecord = await findAccessibleImport(id, req.user);
+
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    const events = await db.query(`
+      SELECT id, carrier, event_code, description, location, occurred_at, estimated_arrival, created_at
+      FROM tracking_events
+      WHERE import_id = ?
+      ORDER BY occurred_at, id
+    `, [id]);
+
+    res.json({
+      import_id: importRecord.id,
+      status: importRecord.status,
+      carrier: importRecord.carrier,
+      tracking_number: importRecord.tracking_number,
+      estimated_arrival: importRecord.estimated_arrival,
+      original_estimated_arrival: importRecord.original_estimated_arrival,
+      last_synced_at: importRecord.tracking_synced_at,
+      events
+    });
+  } catch (error) {
+    logger.error('Error obteniendo seguimiento', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/imports/:id/tracking', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = trackingConfigSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { supplier_id, import_date, estimated_arrival, notes, items } = value;
+    // tracking_synced_at en NULL pone la importación al principio del siguiente lote del poller
+    const result = await db.transaction(tx => auditUpdate(tx, { entity: 'import', table: 'imports', id }, () => tx.run(
+      `UPDATE imports SET carrier = ?, tracking_number = ?, tracking_synced_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND deleted_at IS NULL`,
+      [value.carrier, value.tracking_number, id]
+    )));
 
-    // Calcular total
-    let totalAmount = 0;
-    for (const item of items) {
-      totalAmount += item.quantity * item.unit_price;
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
     }
 
-    const importCode = generateImportCode();
+    const updatedImport = await db.query('SELECT * FROM imports WHERE id = ?', [id]);
 
-    // Crear importación
-    const importResult = await db.run(
-      `INSERT INTO imports (import_code, user_id, supplier_id, total_amount, import_date, estimated_arrival, notes)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [importCode, req.user.id, supplier_id, totalAmount, import_date, estimated_arrival, notes]
-    );
+    res.json({
+      message: 'Seguimiento configurado exitosamente',
+      import: updatedImport[0]
+    });
+  } catch (error) {
+    logger.error('Error configurando seguimiento', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
 
-    // Crear items de importación
-    for (const item of items) {
-      const totalPrice = item.quantity * item.unit_price;
-      await db.run(
-        'INSERT INTO import_items (import_id, product_id, quantity, unit_price, total_price) VALUES (?, ?, ?, ?, ?)',
-        [importResult.id, item.product_id, item.quantity, item.unit_price, totalPrice]
-      );
+// Carga de eventos enviados por una transportista o registrados a mano
+app.post('/api/imports/:id/tracking/events', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error, value } = trackingEventsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
 
-    const newImport = await db.query(`
-      SELECT i.*, s.name as supplier_name 
-      FROM imports i 
-      LEFT JOIN suppliers s ON i.supplier_id = s.id 
-      WHERE i.id = ?
-    `, [importResult.id]);
+    const { inserted, status } = await ingestTrackingEvents(req.params.id, {
+      carrier: value.carrier,
+      events: value.events,
+      userId: req.user.id
+    });
 
     res.status(201).json({
-      message: 'Importación creada exitosamente',
-      import: newImport[0]
+      message: 'Eventos de seguimiento registrados exitosamente',
+      new_events: inserted.length,
+      status
     });
   } catch (error) {
-    console.error('Error creando importación:', error);
+    if (error instanceof TrackingError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error registrando eventos de seguimiento', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-app.put('/api/imports/:id/status', authenticateToken, authorize(['admin']), async (req, res) => {
+// Consulta a la transportista sin esperar al poller
+app.post('/api/imports/:id/tracking/sync', authenticateToken, authorize(['admin']), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, tracking_number } = req.body;
+    const imports = await db.query(
+      'SELECT id, carrier, tracking_number FROM imports WHERE id = ? AND deleted_at IS NULL',
+      [req.params.id]
+    );
+    if (imports.length === 0) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    const { inserted, status } = await syncTracking(imports[0]);
 
-    const validStatuses = ['pending', 'processing', 'shipped', 'in_transit', 'customs', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Estado inválido' });
+    res.json({
+      message: 'Seguimiento actualizado exitosamente',
+      new_events: inserted.length,
+      status
+    });
+  } catch (error) {
+    if (error instanceof TrackingError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    logger.error('Error sincronizando seguimiento', { error });
+    res.status(502).json({ error: 'No se pudo consultar a la transportista' });
+  }
+});
 
-    await db.run(
-      'UPDATE imports SET status = ?, tracking_number = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [status, tracking_number || null, id]
-    );
+app.get('/api/imports/:id/landed-cost', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const importRecord = await findAccessibleImport(id, req.user);
 
-    const updatedImport = await db.query('SELECT * FROM imports WHERE id = ?', [id]);
-    
-    if (updatedImport.length === 0) {
+    if (!importRecord) {
       return res.status(404).json({ error: 'Importación no encontrada' });
     }
 
+    const freightAllocation = req.query.freight_allocation || importRecord.freight_allocation;
+    if (!FREIGHT_ALLOCATIONS.includes(freightAllocation)) {
+      return res.status(400).json({ error: `freight_allocation debe ser uno de: ${FREIGHT_ALLOCATIONS.join(', ')}` });
+    }
+
+    const items = await db.query(`
+      SELECT ii.id, ii.product_id, ii.quantity, ii.unit_price,
+             p.name as product_name, p.hs_code, p.weight, p.tariff_code, p.duty_rate, p.vat_rate
+      FROM import_items ii
+      LEFT JOIN replica_products p ON ii.product_id = p.id
+      WHERE ii.import_id = ?
+      ORDER BY ii.id
+    `, [id]);
+
+    const landedCost = calculateLandedCost({
+      items,
+      freightCost: importRecord.freight_cost || 0,
+      insuranceCost: importRecord.insurance_cost || 0,
+      freightAllocation,
+      defaultDutyRate: DEFAULT_DUTY_RATE,
+      defaultVatRate: DEFAULT_VAT_RATE
+    });
+
     res.json({
-      message: 'Estado actualizado exitosamente',
-      import: updatedImport[0]
+      import_id: importRecord.id,
+      import_code: importRecord.import_code,
+      currency: importRecord.currency,
+      base_currency: importRecord.base_currency,
+      exchange_rate: importRecord.exchange_rate,
+      freight_cost: importRecord.freight_cost,
+      insurance_cost: importRecord.insurance_cost,
+      ...landedCost,
+      landed_total_base: Math.round(landedCost.totals.landed_total * importRecord.exchange_rate * 100) / 100
     });
   } catch (error) {
-    console.error('Error actualizando estado:', error);
+    logger.error('Error calculando costo de importación', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-app.get('/api/imports/stats/dashboard', authenticateToken, async (req, res) => {
+// Factura comercial y lista de empaque, p. ej. /api/imports/1/documents/commercial-invoice.pdf
+app.get('/api/imports/:id/documents/:document.:format', authenticateToken, async (req, res) => {
   try {
-    const stats = {};
+    const { id, document, format } = req.params;
+
+    if (!DOCUMENT_TYPES[document] || !DOCUMENT_FORMATS.includes(format)) {
+      return res.status(404).json({ error: 'Documento no encontrado' });
+    }
 
-    // Total importaciones por estado
-    const statusStats = await db.query(`
-      SELECT status, COUNT(*) as count, SUM(total_amount) as total_value
-      FROM imports 
-      GROUP BY status
-    `);
+    const importRecord = await findAccessibleImport(id, req.user);
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
 
-    // Importaciones por mes
-    const monthlyStats = await db.query(`
-      SELECT 
-        strftime('%Y-%m', created_at) as month,
-        COUNT(*) as imports_count,
-        SUM(total_amount) as total_value
-      FROM imports 
-      WHERE created_at >= date('now', '-12 months')
-      GROUP BY strftime('%Y-%m', created_at)
-      ORDER BY month DESC
-    `);
+    const suppliers = await db.query('SELECT * FROM replica_suppliers WHERE id = ?', [importRecord.supplier_id]);
+    const items = await db.query(`
+      SELECT ii.product_id, ii.quantity, ii.unit_price,
+             p.name as product_name, p.description as product_description, p.hs_code, p.weight
+      FROM import_items ii
+      LEFT JOIN replica_products p ON ii.product_id = p.id
+      WHERE ii.import_id = ?
+      ORDER BY ii.id
+    `, [id]);
 
-    // Top proveedores
-    const topSuppliers = await db.query(`
-      SELECT 
-        s.name,
-        COUNT(i.id) as imports_count,
-        SUM(i.total_amount) as total_value
-      FROM suppliers s
-      LEFT JOIN imports i ON s.id = i.supplier_id
-      GROUP BY s.id, s.name
-      ORDER BY total_value DESC
-      LIMIT 5
-    `);
+    const data = buildDocumentData({ importRecord, supplier: suppliers[0] || {}, items });
+    const fileName = `${importRecord.import_code}-${document}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
 
-    stats.statusBreakdown = statusStats;
-    stats.monthlyTrends = monthlyStats;
-    stats.topSuppliers = topSuppliers;
+    if (format === 'csv') {
+      return res.type('text/csv; charset=utf-8').send(renderCsv(document, data));
+    }
 
-    res.json(stats);
+    res.type('application/pdf').send(await renderPdf(document, data));
   } catch (error) {
-    console.error('Error obteniendo estadísticas:', error);
+    logger.error('Error generando documento', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    service: 'Imports Service',
-    status: 'UP',
-    timestamp: new Date().toISOString()
-  });
+app.get('/api/imports/:id/attachments', authenticateToken, requireAccessibleImport, async (req, res) => {
+  try {
+    res.json(await getAttachments(req.importRecord.id));
+  } catch (error) {
+    logger.error('Error obteniendo adjuntos', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/imports/:id/attachments', authenticateToken, requireAccessibleImport, receiveAttachment, async (req, res) => {
+  const file = req.file;
+
+  try {
+    if (!file) {
+      return res.status(400).json({ error: 'Falta el archivo (campo "file")' });
+    }
+
+    const { error, value } = attachmentSchema.validate(req.body);
+    if (error) {
+      await storage.remove(file.storage_key);
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const inserted = await tx.run(`
+        INSERT INTO import_attachments
+          (import_id, document_type, description, file_name, mime_type, size_bytes, checksum_sha256, storage_key, uploaded_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        req.importRecord.id, value.document_type, value.description || null, file.originalname,
+        file.mimetype, file.size, file.checksum_sha256, file.storage_key, req.user.id
+      ]);
+      await auditCreate(tx, { entity: 'import_attachment', table: 'import_attachments', id: inserted.id });
+      return inserted;
+    });
+
+    const attachments = await getAttachments(req.importRecord.id);
+    res.status(201).json({
+      message: 'Adjunto subido exitosamente',
+      attachment: attachments.find(attachment => attachment.id === result.id)
+    });
+  } catch (error) {
+    if (file) {
+      await storage.remove(file.storage_key).catch(() => {});
+    }
+    logger.error('Error subiendo adjunto', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/api/imports/:id/attachments/:attachmentId', authenticateToken, requireAccessibleImport, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req.importRecord.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Adjunto no encontrado' });
+    }
+
+    const stream = storage.createReadStream(attachment.storage_key);
+    stream.once('open', () => {
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'Content-Length': String(attachment.size_bytes),
+        'Content-Disposition': contentDisposition(attachment.file_name),
+        ETag: `"${attachment.checksum_sha256}"`
+      });
+      stream.pipe(res);
+    });
+    stream.once('error', (error) => {
+      logger.error('Error leyendo adjunto', { error, attachment_id: attachment.id });
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({ error: 'Error interno del servidor' });
+    });
+  } catch (error) {
+    logger.error('Error descargando adjunto', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.delete('/api/imports/:id/attachments/:attachmentId', authenticateToken, requireAccessibleImport, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req.importRecord.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Adjunto no encontrado' });
+    }
+
+    await db.transaction(async (tx) => {
+      await auditDelete(tx, { entity: 'import_attachment', table: 'import_attachments', id: attachment.id });
+      await tx.run('DELETE FROM import_attachments WHERE id = ?', [attachment.id]);
+    });
+    // Si el archivo no se pudiera borrar queda huérfano en el almacenamiento, pero ya no es accesible
+    await storage.remove(attachment.storage_key).catch((error) => {
+      logger.warn('No se pudo borrar el archivo del adjunto', { error, storage_key: attachment.storage_key });
+    });
+
+    res.json({ message: 'Adjunto eliminado exitosamente' });
+  } catch (error) {
+    logger.error('Error eliminando adjunto', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
 });
 
+app.put('/api/imports/:id/costs', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = importCostsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const importRecord = await findAccessibleImport(id, req.user);
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    const { freight_cost, insurance_cost, freight_allocation } = value;
+
+    await db.transaction(tx => auditUpdate(tx, { entity: 'import', table: 'imports', id }, () => tx.run(
+      `UPDATE imports
+       SET freight_cost = COALESCE(?, freight_cost), insurance_cost = COALESCE(?, insurance_cost),
+           freight_allocation = COALESCE(?, freight_allocation), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [freight_cost ?? null, insurance_cost ?? null, freight_allocation ?? null, id]
+    )));
+
+    const updatedImport = await db.query('SELECT * FROM imports WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Costos actualizados exitosamente',
+      import: updatedImport[0]
+    });
+  } catch (error) {
+    logger.error('Error actualizando costos', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+const findImportProductsError = async (supplierId, productIds) => {
+  const products = await db.query(
+    `SELECT id, supplier_id FROM replica_products WHERE id IN (${productIds.map(() => '?').join(', ')}) AND deleted_at IS NULL`,
+    productIds
+  );
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  const unknownProducts = productIds.filter(productId => !productsById.has(productId));
+  if (unknownProducts.length > 0) {
+    return `Productos no encontrados: ${unknownProducts.join(', ')}`;
+  }
+
+  const foreignProducts = productIds.filter(productId => productsById.get(productId).supplier_id !== supplierId);
+  if (foreignProducts.length > 0) {
+    return `Los productos ${foreignProducts.join(', ')} no pertenecen al proveedor ${supplierId}`;
+  }
+  return null;
+};
+
+// Todos los productos deben existir y pertenecer al proveedor de la orden. Devuelve el
+// mensaje de error o null. Antes de rechazar se ponen al día las copias, por si el
+// producto se acaba de crear o de cambiar de proveedor.
+const checkImportProducts = async (supplierId, productIds) => {
+  if (!(await findImportProductsError(supplierId, productIds))) {
+    return null;
+  }
+  await syncReplicas();
+  return findImportProductsError(supplierId, productIds);
+};
+
+const findActiveSupplier = (supplierId) => {
+  return db.query('SELECT id, currency, is_active FROM replica_suppliers WHERE id = ? AND deleted_at IS NULL', [supplierId]);
+};
+
+app.post('/api/imports', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = importSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const {
+      supplier_id, import_date, estimated_arrival, notes, items,
+      freight_cost, insurance_cost, freight_allocation
+    } = value;
+
+    let suppliers = await findActiveSupplier(supplier_id);
+    // Un proveedor recién creado o reactivado puede no haber llegado aún a la copia
+    if (suppliers.length === 0 || !suppliers[0].is_active) {
+      await syncReplicas();
+      suppliers = await findActiveSupplier(supplier_id);
+    }
+    if (suppliers.length === 0) {
+      return res.status(400).json({ error: 'Proveedor no encontrado' });
+    }
+
+    if (!suppliers[0].is_active) {
+      return res.status(409).json({ error: 'El proveedor está desactivado' });
+    }
+
+    // La orden se emite en la moneda indicada o, por defecto, en la de facturación del proveedor
+    const currency = value.currency || suppliers[0].currency || BASE_CURRENCY;
+    if (items.some(item => item.currency && item.currency !== currency)) {
+      return res.status(400).json({ error: `Todos los items deben estar expresados en la moneda de la importación (${currency})` });
+    }
+
+    // Congelar el tipo de cambio vigente en la fecha de la importación
+    const importDate = toIsoDate(import_date);
+    const exchangeRate = await findExchangeRate(currency, BASE_CURRENCY, importDate);
+    if (!exchangeRate) {
+      return res.status(400).json({ error: `No hay tipo de cambio ${currency}/${BASE_CURRENCY} vigente al ${importDate}` });
+    }
+
+    const productIds = [...new Set(items.map(item => item.product_id))];
+    const productsError = await checkImportProducts(supplier_id, productIds);
+    if (productsError) {
+      return res.status(400).json({ error: productsError });
+    }
+
+    // Calcular total
+    let totalAmount = 0;
+    for (const item of items) {
+      totalAmount += item.quantity * item.unit_price;
+    }
+
+    const importCode = generateImportCode();
+
+    // Las reglas de aprobación se evalúan sobre el monto en moneda base
+    const approvalRules = await findApprovalRules(db, {
+      supplierId: supplier_id,
+      amount: totalAmount * exchangeRate.rate,
+      productIds
+    });
+    const approvalLevels = requiredLevels(approvalRules);
+    const status = approvalLevels > 0 ? 'awaiting_approval' : 'pending';
+
+    const importId = await db.transaction(async (tx) => {
+      // Crear importación
+      const importResult = await tx.run(
+        `INSERT INTO imports (import_code, user_id, supplier_id, status, total_amount, currency, base_currency, exchange_rate,
+                              exchange_rate_date, import_date, estimated_arrival, notes,
+                              freight_cost, insurance_cost, freight_allocation, approval_levels_required)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [importCode, req.user.id, supplier_id, status, totalAmount, currency, BASE_CURRENCY, exchangeRate.rate,
+          exchangeRate.effective_date, importDate, toIsoDate(estimated_arrival), notes,
+          freight_cost, insurance_cost, freight_allocation, approvalLevels]
+      );
+      await auditCreate(tx, { entity: 'import', table: 'imports', id: importResult.id });
+
+      // Crear items de importación
+      for (const item of items) {
+        const totalPrice = item.quantity * item.unit_price;
+        const itemResult = await tx.run(
+          'INSERT INTO import_items (import_id, product_id, quantity, unit_price, total_price, currency) VALUES (?, ?, ?, ?, ?, ?)',
+          [importResult.id, item.product_id, item.quantity, item.unit_price, totalPrice, currency]
+        );
+        await auditCreate(tx, { entity: 'import_item', table: 'import_items', id: itemResult.id });
+      }
+
+      // Registrar el estado inicial en el historial
+      await tx.run(
+        'INSERT INTO import_status_history (import_id, from_status, to_status, changed_by) VALUES (?, NULL, ?, ?)',
+        [importResult.id, status, req.user.id]
+      );
+
+      await recordEvent(tx, 'import.created', {
+        import_id: importResult.id,
+        import_code: importCode,
+        user_id: req.user.id,
+        supplier_id,
+        status,
+        total_amount: totalAmount,
+        currency,
+        import_date: importDate,
+        estimated_arrival: toIsoDate(estimated_arrival),
+        items: items.map(({ product_id, quantity, unit_price }) => ({ product_id, quantity, unit_price }))
+      });
+
+      return importResult.id;
+    });
+
+    const newImport = await db.query(`
+      SELECT i.*, s.name as supplier_name 
+      FROM imports i 
+      LEFT JOIN replica_suppliers s ON i.supplier_id = s.id 
+      WHERE i.id = ?
+    `, [importId]);
+
+    res.status(201).json({
+      message: approvalLevels > 0
+        ? 'Importación creada exitosamente; queda pendiente de aprobación'
+        : 'Importación creada exitosamente',
+      import: newImport[0],
+      approval_rules: approvalRules.map(({ id, name, levels }) => ({ id, name, levels }))
+    });
+  } catch (error) {
+    if (error instanceof ReplicaSyncError) {
+      res.set('Retry-After', '1');
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error creando importación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/imports/:id/status', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = statusUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { status, tracking_number, comment } = value;
+
+    const imports = await db.query('SELECT id, import_code, status FROM imports WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (imports.length === 0) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    const currentStatus = imports[0].status;
+    if (!canTransition(currentStatus, status)) {
+      return res.status(409).json({
+        error: `Transición de estado no permitida: ${currentStatus} → ${status}`,
+        current_status: currentStatus,
+        allowed_statuses: allowedTransitions(currentStatus)
+      });
+    }
+
+    // Solo se entrega cuando todas las líneas fueron recibidas o cerradas
+    if (status === 'delivered') {
+      const receipt = summarizeReceipt(await getReceivingItems(id));
+      if (!receipt.fully_received) {
+        return res.status(409).json({
+          error: 'La importación tiene cantidades pendientes de recepción',
+          pending_lines: receipt.lines.filter(line => line.outstanding_quantity > 0)
+        });
+      }
+    }
+
+    // La condición sobre el estado actual evita pisar un cambio concurrente
+    const updated = await db.transaction(async (tx) => {
+      const result = await auditUpdate(tx, { entity: 'import', table: 'imports', id, action: 'status_change' }, () => tx.run(
+        `UPDATE imports SET status = ?, tracking_number = COALESCE(?, tracking_number), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = ?`,
+        [status, tracking_number || null, id, currentStatus]
+      ));
+
+      if (result.changes === 0) {
+        return false;
+      }
+
+      await tx.run(
+        `INSERT INTO import_status_history (import_id, from_status, to_status, changed_by, comment, tracking_number)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, currentStatus, status, req.user.id, comment || null, tracking_number || null]
+      );
+
+      const change = {
+        import_id: imports[0].id,
+        import_code: imports[0].import_code,
+        from_status: currentStatus,
+        to_status: status,
+        tracking_number: tracking_number || null,
+        comment: comment || null,
+        changed_by: req.user.id
+      };
+      await recordEvent(tx, 'import.status_changed', change);
+      if (status === 'delivered') {
+        await recordEvent(tx, 'import.delivered', change);
+      }
+
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(409).json({ error: 'La importación fue modificada por otra operación, intenta nuevamente' });
+    }
+
+    const updatedImport = await db.query('SELECT * FROM imports WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Estado actualizado exitosamente',
+      import: updatedImport[0]
+    });
+  } catch (error) {
+    logger.error('Error actualizando estado', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Borrado lógico por el dueño o un admin; solo antes de que la mercadería esté en camino
+app.delete('/api/imports/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await findAccessibleImport(id, req.user))) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    await deleteImport(id, req.user);
+    const deletedImport = await db.query('SELECT * FROM imports WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Importación eliminada exitosamente',
+      import: deletedImport[0]
+    });
+  } catch (error) {
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error eliminando importación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/imports/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await findAccessibleImport(id, req.user, { includeDeleted: true }))) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    await restoreImport(id);
+    const restoredImport = await db.query('SELECT * FROM imports WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Importación restaurada exitosamente',
+      import: restoredImport[0]
+    });
+  } catch (error) {
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error restaurando importación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Borrado definitivo de una importación ya eliminada, con su historial y sus adjuntos
+app.delete('/api/imports/:id/purge', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const storageKeys = await purgeImport(req.params.id);
+    for (const storageKey of storageKeys) {
+      await storage.remove(storageKey).catch((error) => {
+        logger.warn('No se pudo borrar el archivo del adjunto', { error, storage_key: storageKey });
+      });
+    }
+
+    res.json({ message: 'Importación purgada exitosamente' });
+  } catch (error) {
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error purgando importación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Aprobación de importaciones
+const findApproverLevel = async (userId) => {
+  const users = await db.query('SELECT approval_level FROM replica_users WHERE id = ?', [userId]);
+  return users[0]?.approval_level || 0;
+};
+
+// Sin nivel se ponen al día las copias por si el nivel se acaba de asignar
+const getApproverLevel = async (userId) => {
+  const level = await findApproverLevel(userId);
+  if (level) {
+    return level;
+  }
+  await syncReplicas();
+  return findApproverLevel(userId);
+};
+
+// Cola del aprobador: importaciones cuyo siguiente nivel puede aprobar, sin las propias
+// ni las que ya aprobó en la ronda actual
+app.get('/api/approvals', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = approvalQueueSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const approverLevel = await getApproverLevel(req.user.id);
+    if (!approverLevel) {
+      return res.status(403).json({ error: 'No tienes permisos de aprobación' });
+    }
+
+    let where = `WHERE i.status = 'awaiting_approval' AND i.deleted_at IS NULL AND i.user_id != ? AND i.approved_levels + 1 <= ?
+      AND NOT EXISTS (
+        SELECT 1 FROM import_approvals a
+        WHERE a.import_id = i.id AND a.decided_by = ? AND a.decision = 'approved'
+          AND a.id > COALESCE((
+            SELECT MAX(id) FROM import_approvals WHERE import_id = i.id AND decision != 'approved'
+          ), 0)
+      )`;
+    const params = [req.user.id, approverLevel, req.user.id];
+
+    if (value.supplier_id) {
+      where += ' AND i.supplier_id = ?';
+      params.push(value.supplier_id);
+    }
+
+    const page = await paginate({
+      select: `i.id, i.import_code, i.user_id, u.username as created_by, i.supplier_id, s.name as supplier_name,
+               i.total_amount, i.currency, ROUND(i.total_amount * COALESCE(i.exchange_rate, 1), 2) as base_amount,
+               i.base_currency, i.approval_levels_required, i.approved_levels,
+               i.approved_levels + 1 as next_level, i.import_date, i.created_at`,
+      from: `FROM imports i
+             LEFT JOIN replica_suppliers s ON i.supplier_id = s.id
+             LEFT JOIN replica_users u ON i.user_id = u.id`,
+      where,
+      params,
+      sortColumns: APPROVAL_QUEUE_SORT_COLUMNS,
+      idColumn: 'i.id',
+      query: value
+    });
+
+    res.json({ approval_level: approverLevel, ...page });
+  } catch (error) {
+    if (error instanceof ReplicaSyncError) {
+      res.set('Retry-After', '1');
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error obteniendo cola de aprobación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Visible para el dueño, los admins y cualquier aprobador
+app.get('/api/imports/:id/approvals', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    let importRecord = await findAccessibleImport(id, req.user);
+    if (!importRecord && await getApproverLevel(req.user.id)) {
+      importRecord = await findAccessibleImport(id, { role: 'admin' });
+    }
+
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    const decisions = await db.query(`
+      SELECT a.id, a.level, a.decision, a.comment, a.decided_by, u.username as decided_by_username, a.created_at
+      FROM import_approvals a
+      LEFT JOIN replica_users u ON a.decided_by = u.id
+      WHERE a.import_id = ?
+      ORDER BY a.id
+    `, [id]);
+
+    res.json({
+      import_id: importRecord.id,
+      status: importRecord.status,
+      approval_levels_required: importRecord.approval_levels_required,
+      approved_levels: importRecord.approved_levels,
+      decisions
+    });
+  } catch (error) {
+    logger.error('Error obteniendo aprobaciones', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/imports/:id/approvals', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = approvalDecisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const decision = await recordDecision(req.params.id, req.user, value);
+    const updatedImport = await db.query('SELECT * FROM imports WHERE id = ?', [req.params.id]);
+
+    res.status(201).json({
+      message: 'Decisión registrada exitosamente',
+      decision,
+      import: updatedImport[0]
+    });
+  } catch (error) {
+    if (error instanceof ApprovalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof ReplicaSyncError) {
+      res.set('Retry-After', '1');
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error registrando decisión de aprobación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Con cambios solicitados el creador corrige los items antes de reenviar la importación
+app.put('/api/imports/:id/items', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = importItemsUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const importRecord = await findAccessibleImport(id, req.user);
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    if (importRecord.status !== 'changes_requested') {
+      return res.status(409).json({
+        error: `Solo se pueden editar los items de importaciones con cambios solicitados (estado ${importRecord.status})`
+      });
+    }
+
+    const { items } = value;
+    if (items.some(item => item.currency && item.currency !== importRecord.currency)) {
+      return res.status(400).json({ error: `Todos los items deben estar expresados en la moneda de la importación (${importRecord.currency})` });
+    }
+
+    const productsError = await checkImportProducts(importRecord.supplier_id, [...new Set(items.map(item => item.product_id))]);
+    if (productsError) {
+      return res.status(400).json({ error: productsError });
+    }
+
+    await replaceImportItems(id, { items });
+
+    const updatedImport = await db.query('SELECT * FROM imports WHERE id = ?', [id]);
+    const updatedItems = await db.query('SELECT * FROM import_items WHERE import_id = ? ORDER BY id', [id]);
+
+    res.json({
+      message: 'Items actualizados exitosamente; reenvía la importación para su aprobación',
+      import: { ...updatedImport[0], items: updatedItems }
+    });
+  } catch (error) {
+    if (error instanceof ApprovalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof ReplicaSyncError) {
+      res.set('Retry-After', '1');
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error actualizando items de importación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// El dueño (o un admin) reenvía a aprobación una importación con cambios solicitados
+app.post('/api/imports/:id/resubmit', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = resubmitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!(await findAccessibleImport(id, req.user))) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    const { rules } = await resubmitImport(id, req.user, value);
+    const updatedImport = await db.query('SELECT * FROM imports WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Importación reenviada exitosamente',
+      import: updatedImport[0],
+      approval_rules: rules.map(({ id: ruleId, name, levels }) => ({ id: ruleId, name, levels }))
+    });
+  } catch (error) {
+    if (error instanceof ApprovalError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error reenviando importación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Recepción de mercancía
+app.get('/api/imports/:id/receipts', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const importRecord = await findAccessibleImport(id, req.user);
+
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    const receipts = await db.query(`
+      SELECT r.id, r.type, r.notes, r.created_at, r.received_by, u.username as received_by_username
+      FROM goods_receipts r
+      LEFT JOIN replica_users u ON r.received_by = u.id
+      WHERE r.import_id = ?
+      ORDER BY r.created_at, r.id
+    `, [id]);
+
+    const lines = await db.query(`
+      SELECT rl.* FROM goods_receipt_lines rl
+      JOIN goods_receipts r ON rl.receipt_id = r.id
+      WHERE r.import_id = ?
+      ORDER BY rl.id
+    `, [id]);
+
+    res.json({
+      import_id: importRecord.id,
+      status: importRecord.status,
+      ...summarizeReceipt(await getReceivingItems(id)),
+      receipts: receipts.map(receipt => ({
+        ...receipt,
+        lines: lines.filter(line => line.receipt_id === receipt.id)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error obteniendo recepciones', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/imports/:id/receipts', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = goodsReceiptSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const imports = await db.query('SELECT id, status FROM imports WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (imports.length === 0) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    if (!RECEIVABLE_STATUSES.includes(imports[0].status)) {
+      return res.status(409).json({
+        error: `No se puede recibir mercancía de una importación en estado ${imports[0].status}`,
+        receivable_statuses: RECEIVABLE_STATUSES
+      });
+    }
+
+    const items = await getReceivingItems(id);
+    const itemsById = new Map(items.map(item => [item.id, item]));
+
+    for (const line of value.lines) {
+      if (!itemsById.has(line.import_item_id)) {
+        return res.status(400).json({ error: `El item ${line.import_item_id} no pertenece a la importación` });
+      }
+    }
+
+    const receiptId = await db.transaction(async (tx) => {
+      const receiptResult = await tx.run(
+        'INSERT INTO goods_receipts (import_id, type, received_by, notes) VALUES (?, ?, ?, ?)',
+        [id, 'receipt', req.user.id, value.notes]
+      );
+      await auditCreate(tx, { entity: 'goods_receipt', table: 'goods_receipts', id: receiptResult.id });
+
+      for (const line of value.lines) {
+        const item = itemsById.get(line.import_item_id);
+
+        await tx.run(
+          `INSERT INTO goods_receipt_lines (receipt_id, import_item_id, received_quantity, damaged_quantity)
+           VALUES (?, ?, ?, ?)`,
+          [receiptResult.id, item.id, line.received_quantity, line.damaged_quantity]
+        );
+
+        await auditUpdate(tx, { entity: 'import_item', table: 'import_items', id: item.id }, () => tx.run(
+          'UPDATE import_items SET received_quantity = received_quantity + ?, damaged_quantity = damaged_quantity + ? WHERE id = ?',
+          [line.received_quantity, line.damaged_quantity, item.id]
+        ));
+      }
+
+      // El stock es del servicio de productos: lo actualiza al recibir este evento
+      await recordEvent(tx, 'goods_receipt.recorded', {
+        import_id: Number(id),
+        receipt_id: receiptResult.id,
+        lines: value.lines.map(line => ({
+          import_item_id: line.import_item_id,
+          product_id: itemsById.get(line.import_item_id).product_id,
+          received_quantity: line.received_quantity,
+          damaged_quantity: line.damaged_quantity
+        }))
+      });
+
+      return receiptResult.id;
+    });
+
+    res.status(201).json({
+      message: 'Recepción registrada exitosamente',
+      receipt_id: receiptId,
+      ...summarizeReceipt(await getReceivingItems(id))
+    });
+  } catch (error) {
+    logger.error('Error registrando recepción', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/imports/:id/receipts/close', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = closeOutSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const imports = await db.query('SELECT id, status FROM imports WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (imports.length === 0) {
+      return res.status(404).json({ error: 'Importación no encontrada' });
+    }
+
+    if (!RECEIVABLE_STATUSES.includes(imports[0].status)) {
+      return res.status(409).json({
+        error: `No se pueden cerrar cantidades de una importación en estado ${imports[0].status}`,
+        receivable_statuses: RECEIVABLE_STATUSES
+      });
+    }
+
+    const items = await getReceivingItems(id);
+    const selected = value.import_item_ids
+      ? items.filter(item => value.import_item_ids.includes(item.id))
+      : items;
+
+    if (value.import_item_ids && selected.length !== value.import_item_ids.length) {
+      return res.status(400).json({ error: 'Algún item indicado no pertenece a la importación' });
+    }
+
+    const toClose = selected.filter(item => outstandingQuantity(item) > 0);
+    if (toClose.length === 0) {
+      return res.status(409).json({ error: 'No hay cantidades pendientes para cerrar' });
+    }
+
+    const receiptId = await db.transaction(async (tx) => {
+      const receiptResult = await tx.run(
+        'INSERT INTO goods_receipts (import_id, type, received_by, notes) VALUES (?, ?, ?, ?)',
+        [id, 'close_out', req.user.id, value.reason]
+      );
+      await auditCreate(tx, { entity: 'goods_receipt', table: 'goods_receipts', id: receiptResult.id });
+
+      for (const item of toClose) {
+        const remaining = outstandingQuantity(item);
+
+        await tx.run(
+          'INSERT INTO goods_receipt_lines (receipt_id, import_item_id, closed_quantity) VALUES (?, ?, ?)',
+          [receiptResult.id, item.id, remaining]
+        );
+
+        await auditUpdate(tx, { entity: 'import_item', table: 'import_items', id: item.id }, () => tx.run(
+          'UPDATE import_items SET closed_quantity = closed_quantity + ?, close_reason = ? WHERE id = ?',
+          [remaining, value.reason, item.id]
+        ));
+      }
+
+      return receiptResult.id;
+    });
+
+    res.status(201).json({
+      message: 'Cantidades pendientes cerradas exitosamente',
+      receipt_id: receiptId,
+      ...summarizeReceipt(await getReceivingItems(id))
+    });
+  } catch (error) {
+    logger.error('Error cerrando cantidades pendientes', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/api/imports/stats/dashboard', authenticateToken, async (req, res) => {
+  try {
+    const { error, value: { currency } } = dashboardQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Se suma en SQL por grupo de conversión y se convierte una vez por grupo. La fecha
+    // solo separa grupos cuando hace falta buscar un tipo de cambio hacia la moneda de
+    // reporte; si la orden ya está en esa moneda o su base lo está, no influye.
+    const groups = await db.query(`
+      SELECT i.status, i.supplier_id, i.currency, i.base_currency, i.exchange_rate,
+             CASE WHEN i.created_at >= date('now', '-12 months') THEN strftime('%Y-%m', i.created_at) END as month,
+             CASE WHEN i.currency = ? OR (i.base_currency = ? AND i.exchange_rate IS NOT NULL) THEN NULL
+                  ELSE i.import_date END as import_date,
+             COUNT(*) as imports_count,
+             SUM(i.total_amount) as total_amount
+      FROM imports i
+      WHERE i.deleted_at IS NULL
+      GROUP BY 1, 2, 3, 4, 5, 6, 7
+    `, [currency, currency]);
+    // Los proveedores eliminados no figuran en el ranking; sus importaciones sí suman en los totales
+    const suppliers = await db.query('SELECT id, name FROM replica_suppliers WHERE deleted_at IS NULL');
+
+    const convert = createConverter(currency);
+    const round2 = (amount) => Math.round(amount * 100) / 100;
+    const byStatus = new Map();
+    const byMonth = new Map();
+    const bySupplier = new Map(suppliers.map(s => [s.id, { name: s.name, imports_count: 0, total_value: 0 }]));
+    let unconverted = 0;
+
+    for (const group of groups) {
+      const amount = await convert(group);
+      if (amount === null) {
+        unconverted += group.imports_count;
+      }
+      const value = amount || 0;
+
+      const status = byStatus.get(group.status) || { status: group.status, count: 0, total_value: 0 };
+      status.count += group.imports_count;
+      status.total_value += value;
+      byStatus.set(group.status, status);
+
+      if (group.month) {
+        const month = byMonth.get(group.month) || { month: group.month, imports_count: 0, total_value: 0 };
+        month.imports_count += group.imports_count;
+        month.total_value += value;
+        byMonth.set(group.month, month);
+      }
+
+      const supplier = bySupplier.get(group.supplier_id);
+      if (supplier) {
+        supplier.imports_count += group.imports_count;
+        supplier.total_value += value;
+      }
+    }
+
+    const rounded = (rows) => rows.map(row => ({ ...row, total_value: round2(row.total_value) }));
+
+    res.json({
+      currency,
+      statusBreakdown: rounded([...byStatus.values()]),
+      monthlyTrends: rounded([...byMonth.values()].sort((a, b) => b.month.localeCompare(a.month))),
+      topSuppliers: rounded([...bySupplier.values()].sort((a, b) => b.total_value - a.total_value).slice(0, 5)),
+      // Importaciones sin tipo de cambio hacia la moneda de reporte (no suman en los totales)
+      unconvertedImports: unconverted
+    });
+  } catch (error) {
+    logger.error('Error obteniendo estadísticas', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Rutas de tipos de cambio
+app.get('/api/exchange-rates', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = exchangeRateListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { currency, base_currency, from_date, to_date } = value;
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (currency) {
+      where += ' AND currency = ?';
+      params.push(currency);
+    }
+
+    if (base_currency) {
+      where += ' AND base_currency = ?';
+      params.push(base_currency);
+    }
+
+    if (from_date) {
+      where += ' AND effective_date >= ?';
+      params.push(toIsoDate(from_date));
+    }
+
+    if (to_date) {
+      where += ' AND effective_date <= ?';
+      params.push(toIsoDate(to_date));
+    }
+
+    const page = await paginate({
+      select: '*',
+      from: 'FROM exchange_rates',
+      where,
+      params,
+      sortColumns: EXCHANGE_RATE_SORT_COLUMNS,
+      idColumn: 'id',
+      query: value
+    });
+
+    res.json(page);
+  } catch (error) {
+    logger.error('Error obteniendo tipos de cambio', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/exchange-rates', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error, value } = exchangeRateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { currency, base_currency, rate, effective_date } = value;
+    if (currency === base_currency) {
+      return res.status(400).json({ error: 'La moneda y la moneda base deben ser distintas' });
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const inserted = await tx.run(
+        'INSERT INTO exchange_rates (currency, base_currency, rate, effective_date, created_by) VALUES (?, ?, ?, ?, ?)',
+        [currency, base_currency, rate, toIsoDate(effective_date), req.user.id]
+      );
+      await auditCreate(tx, { entity: 'exchange_rate', table: 'exchange_rates', id: inserted.id });
+      return inserted;
+    });
+
+    const newRate = await db.query('SELECT * FROM exchange_rates WHERE id = ?', [result.id]);
+
+    res.status(201).json({
+      message: 'Tipo de cambio registrado exitosamente',
+      exchange_rate: newRate[0]
+    });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'Ya existe un tipo de cambio para esa moneda y fecha' });
+    }
+    logger.error('Error registrando tipo de cambio', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/exchange-rates/:id', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = exchangeRateUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Las importaciones ya creadas conservan el tipo de cambio congelado
+    const result = await db.transaction(tx => auditUpdate(tx, { entity: 'exchange_rate', table: 'exchange_rates', id }, () => {
+      return tx.run('UPDATE exchange_rates SET rate = ? WHERE id = ?', [value.rate, id]);
+    }));
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Tipo de cambio no encontrado' });
+    }
+
+    const updatedRate = await db.query('SELECT * FROM exchange_rates WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Tipo de cambio actualizado exitosamente',
+      exchange_rate: updatedRate[0]
+    });
+  } catch (error) {
+    logger.error('Error actualizando tipo de cambio', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Reglas de aprobación (solo admin)
+app.get('/api/approval-rules', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error, value } = approvalRuleListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (value.active !== undefined) {
+      where += ' AND is_active = ?';
+      params.push(value.active ? 1 : 0);
+    }
+
+    const page = await paginate({
+      select: '*',
+      from: 'FROM approval_rules',
+      where,
+      params,
+      sortColumns: APPROVAL_RULE_SORT_COLUMNS,
+      idColumn: 'id',
+      query: value
+    });
+
+    res.json(page);
+  } catch (error) {
+    logger.error('Error obteniendo reglas de aprobación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/approval-rules', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error, value } = approvalRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { name, min_amount, supplier_id, category, levels } = value;
+
+    const result = await db.transaction(async (tx) => {
+      const inserted = await tx.run(
+        'INSERT INTO approval_rules (name, min_amount, supplier_id, category, levels, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+        [name, min_amount ?? null, supplier_id ?? null, category ?? null, levels, req.user.id]
+      );
+      await auditCreate(tx, { entity: 'approval_rule', table: 'approval_rules', id: inserted.id });
+      return inserted;
+    });
+
+    const newRule = await db.query('SELECT * FROM approval_rules WHERE id = ?', [result.id]);
+
+    res.status(201).json({
+      message: 'Regla de aprobación creada exitosamente',
+      approval_rule: newRule[0]
+    });
+  } catch (error) {
+    logger.error('Error creando regla de aprobación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Los cambios solo afectan a las importaciones nuevas o reenviadas
+app.put('/api/approval-rules/:id', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = approvalRuleUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const rules = await db.query('SELECT * FROM approval_rules WHERE id = ?', [id]);
+    if (rules.length === 0) {
+      return res.status(404).json({ error: 'Regla de aprobación no encontrada' });
+    }
+
+    const { active, ...fields } = value;
+    const rule = { ...rules[0], ...fields };
+    if (rule.min_amount === null && rule.supplier_id === null && rule.category === null) {
+      return res.status(400).json({ error: 'La regla necesita al menos un criterio: min_amount, supplier_id o category' });
+    }
+
+    await db.transaction(tx => auditUpdate(tx, { entity: 'approval_rule', table: 'approval_rules', id }, () => tx.run(
+      `UPDATE approval_rules
+       SET name = ?, min_amount = ?, supplier_id = ?, category = ?, levels = ?,
+           is_active = COALESCE(?, is_active), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        rule.name, rule.min_amount, rule.supplier_id, rule.category, rule.levels,
+        active === undefined ? null : (active ? 1 : 0), id
+      ]
+    )));
+
+    const updatedRule = await db.query('SELECT * FROM approval_rules WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Regla de aprobación actualizada exitosamente',
+      approval_rule: updatedRule[0]
+    });
+  } catch (error) {
+    logger.error('Error actualizando regla de aprobación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Webhooks salientes (solo admin)
+app.get('/api/webhooks', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error, value } = webhookListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (value.active !== undefined) {
+      where += ' AND is_active = ?';
+      params.push(value.active ? 1 : 0);
+    }
+
+    const page = await paginate({
+      select: WEBHOOK_FIELDS,
+      from: 'FROM webhook_subscriptions',
+      where,
+      params,
+      sortColumns: WEBHOOK_SORT_COLUMNS,
+      idColumn: 'id',
+      query: value
+    });
+
+    res.json({ ...page, data: page.data.map(formatWebhook) });
+  } catch (error) {
+    logger.error('Error obteniendo webhooks', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/webhooks', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error, value } = webhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const secret = generateSecret();
+    const result = await db.transaction(async (tx) => {
+      const inserted = await tx.run(
+        'INSERT INTO webhook_subscriptions (url, secret, events, description, created_by) VALUES (?, ?, ?, ?, ?)',
+        [value.url, secret, JSON.stringify(value.events), value.description || null, req.user.id]
+      );
+      await auditCreate(tx, { entity: 'webhook', table: 'webhook_subscriptions', id: inserted.id });
+      return inserted;
+    });
+
+    res.status(201).json({
+      message: 'Webhook creado exitosamente',
+      // El secreto no se vuelve a mostrar: el receptor lo necesita para verificar las firmas
+      webhook: { ...(await findWebhook(result.id)), secret }
+    });
+  } catch (error) {
+    logger.error('Error creando webhook', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/api/webhooks/:id', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    const deliveries = await db.query(
+      'SELECT status, COUNT(*) as count FROM webhook_deliveries WHERE subscription_id = ? GROUP BY status',
+      [webhook.id]
+    );
+
+    res.json({
+      ...webhook,
+      deliveries: Object.fromEntries(deliveries.map(row => [row.status, row.count]))
+    });
+  } catch (error) {
+    logger.error('Error obteniendo webhook', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/webhooks/:id', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = webhookUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { url, events, description, active } = value;
+
+    const result = await db.transaction(tx => auditUpdate(tx, { entity: 'webhook', table: 'webhook_subscriptions', id }, () => tx.run(
+      `UPDATE webhook_subscriptions
+       SET url = COALESCE(?, url), events = COALESCE(?, events),
+           description = CASE WHEN ? THEN ? ELSE description END,
+           is_active = COALESCE(?, is_active), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        url || null, events ? JSON.stringify(events) : null,
+        description !== undefined ? 1 : 0, description ?? null,
+        active === undefined ? null : (active ? 1 : 0), id
+      ]
+    )));
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json({
+      message: 'Webhook actualizado exitosamente',
+      webhook: await findWebhook(id)
+    });
+  } catch (error) {
+    logger.error('Error actualizando webhook', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Registro de entregas de una suscripción, con el último intento de cada una
+app.get('/api/webhooks/:id/deliveries', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = webhookDeliveryListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!(await findWebhook(id))) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    const { status, event_type } = value;
+    let where = 'WHERE d.subscription_id = ?';
+    const params = [id];
+
+    if (status) {
+      where += ` AND d.status IN (${status.map(() => '?').join(', ')})`;
+      params.push(...status);
+    }
+
+    if (event_type) {
+      where += ' AND e.type = ?';
+      params.push(event_type);
+    }
+
+    const page = await paginate({
+      select: `d.id, d.status, d.attempts, d.next_attempt_at, d.last_attempt_at, d.response_status,
+               d.response_body, d.error, d.replay_of, d.created_at, d.delivered_at,
+               e.event_id, e.type as event_type, e.created_at as event_created_at`,
+      from: 'FROM webhook_deliveries d JOIN event_outbox e ON d.event_id = e.id',
+      where,
+      params,
+      sortColumns: WEBHOOK_DELIVERY_SORT_COLUMNS,
+      idColumn: 'd.id',
+      query: value
+    });
+
+    res.json(page);
+  } catch (error) {
+    logger.error('Error obteniendo entregas de webhook', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Reenvía el mismo evento como una entrega nueva; la original queda en el registro
+app.post('/api/webhooks/deliveries/:deliveryId/replay', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const deliveries = await db.query(`
+      SELECT d.id, d.subscription_id, d.event_id, s.is_active
+      FROM webhook_deliveries d
+      JOIN webhook_subscriptions s ON d.subscription_id = s.id
+      WHERE d.id = ?
+    `, [req.params.deliveryId]);
+
+    if (deliveries.length === 0) {
+      return res.status(404).json({ error: 'Entrega no encontrada' });
+    }
+
+    const original = deliveries[0];
+    if (!original.is_active) {
+      return res.status(409).json({ error: 'El webhook está desactivado' });
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const inserted = await tx.run(
+        'INSERT INTO webhook_deliveries (subscription_id, event_id, replay_of) VALUES (?, ?, ?)',
+        [original.subscription_id, original.event_id, original.id]
+      );
+      await auditCreate(tx, { entity: 'webhook_delivery', table: 'webhook_deliveries', id: inserted.id });
+      return inserted;
+    });
+
+    const replay = await db.query('SELECT * FROM webhook_deliveries WHERE id = ?', [result.id]);
+
+    res.status(201).json({
+      message: 'Reenvío programado exitosamente',
+      delivery: replay[0]
+    });
+  } catch (error) {
+    logger.error('Error reenviando webhook', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/health', (req, res) => {
+  res.json({ 
+    service: 'Imports Service',
+    status: 'UP',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Documentación OpenAPI (GET /openapi.json)
+serveOpenApi(app, {
+  title: 'Imports Service',
+  schemas: {
+    ImportInput: importSchema,
+    StatusUpdateInput: statusUpdateSchema,
+    ImportCostsInput: importCostsSchema,
+    GoodsReceiptInput: goodsReceiptSchema,
+    CloseOutInput: closeOutSchema,
+    ExchangeRateInput: exchangeRateSchema,
+    ExchangeRateUpdateInput: exchangeRateUpdateSchema,
+    AttachmentInput: attachmentSchema,
+    WebhookInput: webhookSchema,
+    WebhookUpdateInput: webhookUpdateSchema,
+    TrackingConfigInput: trackingConfigSchema,
+    TrackingEventsInput: trackingEventsSchema,
+    ApprovalDecisionInput: approvalDecisionSchema,
+    ResubmitInput: resubmitSchema,
+    ImportItemsInput: importItemsUpdateSchema,
+    ApprovalRuleInput: approvalRuleSchema,
+    ApprovalRuleUpdateInput: approvalRuleUpdateSchema
+  },
+  routes: {
+    'GET /api/imports': {
+      summary: 'Listar importaciones (las propias, o todas para admin)',
+      query: importListSchema,
+      response: 'Página de importaciones'
+    },
+    'GET /api/imports/:id': { summary: 'Detalle de una importación con sus items e historial' },
+    'GET /api/imports/:id/history': { summary: 'Historial de cambios de estado' },
+    'GET /api/imports/:id/tracking': { summary: 'Línea de tiempo del embarque con los eventos de la transportista', tag: 'tracking' },
+    'PUT /api/imports/:id/tracking': {
+      summary: 'Configurar transportista y número de guía',
+      tag: 'tracking',
+      body: trackingConfigSchema
+    },
+    'POST /api/imports/:id/tracking/events': {
+      summary: 'Registrar eventos de seguimiento (los ya conocidos se ignoran)',
+      tag: 'tracking',
+      body: trackingEventsSchema,
+      response: 'Cantidad de eventos nuevos y estado resultante'
+    },
+    'POST /api/imports/:id/tracking/sync': {
+      summary: 'Consultar ahora a la transportista',
+      tag: 'tracking',
+      status: 200,
+      errors: { 409: 'Sin transportista o número de guía', 502: 'La transportista no respondió' }
+    },
+    'GET /api/imports/:id/landed-cost': {
+      summary: 'Costo puesto en destino por línea',
+      query: Joi.object({ freight_allocation: Joi.string().valid(...FREIGHT_ALLOCATIONS) }),
+      response: 'Desglose por línea y totales; tariff_code es el código del catálogo HS del que sale el arancel (null si se usó la tasa por defecto)'
+    },
+    'GET /api/imports/:id/documents/:document.:format': {
+      summary: 'Factura comercial o lista de empaque en PDF o CSV',
+      response: `document: ${Object.keys(DOCUMENT_TYPES).join(' | ')}; format: ${DOCUMENT_FORMATS.join(' | ')}`
+    },
+    'GET /api/imports/:id/attachments': { summary: 'Listar documentos adjuntos' },
+    'POST /api/imports/:id/attachments': {
+      summary: 'Subir un documento adjunto',
+      upload: `Archivo (${ALLOWED_MIME_TYPES.join(', ')})`,
+      body: attachmentSchema,
+      response: 'Adjunto subido',
+      errors: { 413: 'Archivo demasiado grande', 415: 'Tipo de archivo no permitido' }
+    },
+    'GET /api/imports/:id/attachments/:attachmentId': {
+      summary: 'Descargar un documento adjunto',
+      response: 'Contenido del archivo'
+    },
+    'DELETE /api/imports/:id/attachments/:attachmentId': { summary: 'Eliminar un documento adjunto' },
+    'PUT /api/imports/:id/costs': { summary: 'Actualizar flete, seguro y prorrateo', body: importCostsSchema },
+    'POST /api/imports': {
+      summary: 'Crear importación (queda en awaiting_approval si alguna regla de aprobación coincide)',
+      body: importSchema,
+      response: 'Importación creada y reglas de aprobación que coincidieron',
+      errors: { 409: 'El proveedor está desactivado' }
+    },
+    'PUT /api/imports/:id/status': {
+      summary: 'Cambiar estado',
+      body: statusUpdateSchema,
+      errors: { 409: 'Transición de estado no permitida' }
+    },
+    'DELETE /api/imports/:id': {
+      summary: 'Eliminar importación (borrado lógico)',
+      errors: { 409: 'La importación ya tiene mercadería en camino o recibida' }
+    },
+    'POST /api/imports/:id/restore': {
+      summary: 'Restaurar importación eliminada',
+      errors: { 409: 'El proveedor o algún producto de la importación está eliminado' }
+    },
+    'DELETE /api/imports/:id/purge': {
+      summary: 'Purgar importación eliminada con su historial y adjuntos (solo admin)',
+      errors: { 409: 'La importación no está eliminada' }
+    },
+    'GET /api/approvals': {
+      summary: 'Cola de importaciones que el usuario puede aprobar',
+      tag: 'approvals',
+      query: approvalQueueSchema,
+      response: 'Página de importaciones pendientes',
+      errors: { 403: 'No tienes permisos de aprobación' }
+    },
+    'GET /api/imports/:id/approvals': { summary: 'Niveles exigidos y decisiones de aprobación', tag: 'approvals' },
+    'POST /api/imports/:id/approvals': {
+      summary: 'Aprobar el siguiente nivel, rechazar o pedir cambios',
+      tag: 'approvals',
+      body: approvalDecisionSchema,
+      response: 'Decisión registrada',
+      errors: { 403: 'Nivel de aprobación insuficiente o importación propia', 409: 'La importación no está pendiente de aprobación' }
+    },
+    'PUT /api/imports/:id/items': {
+      summary: 'Reemplazar los items de una importación con cambios solicitados',
+      tag: 'approvals',
+      body: importItemsUpdateSchema,
+      errors: { 409: 'La importación no tiene cambios solicitados' }
+    },
+    'POST /api/imports/:id/resubmit': {
+      summary: 'Reenviar a aprobación tras una petición de cambios',
+      tag: 'approvals',
+      body: resubmitSchema,
+      status: 200,
+      errors: { 409: 'La importación no tiene cambios solicitados' }
+    },
+    'GET /api/imports/:id/receipts': { summary: 'Recepciones y resumen de cantidades' },
+    'POST /api/imports/:id/receipts': {
+      summary: 'Registrar recepción de mercancía',
+      body: goodsReceiptSchema,
+      response: 'Recepción registrada',
+      errors: { 409: 'La importación no está en un estado que permita recibir' }
+    },
+    'POST /api/imports/:id/receipts/close': {
+      summary: 'Cerrar cantidades pendientes',
+      body: closeOutSchema,
+      response: 'Cantidades cerradas',
+      errors: { 409: 'No hay cantidades pendientes para cerrar' }
+    },
+    'GET /api/imports/stats/dashboard': {
+      summary: 'Estadísticas del dashboard',
+      tag: 'stats',
+      query: dashboardQuerySchema
+    },
+    'GET /api/exchange-rates': {
+      summary: 'Listar tipos de cambio',
+      query: exchangeRateListSchema,
+      response: 'Página de tipos de cambio'
+    },
+    'POST /api/exchange-rates': {
+      summary: 'Registrar tipo de cambio',
+      body: exchangeRateSchema,
+      response: 'Tipo de cambio registrado',
+      errors: { 409: 'Ya existe un tipo de cambio para esa moneda y fecha' }
+    },
+    'PUT /api/exchange-rates/:id': { summary: 'Corregir un tipo de cambio', body: exchangeRateUpdateSchema },
+    'GET /api/approval-rules': {
+      summary: 'Listar reglas de aprobación',
+      query: approvalRuleListSchema,
+      response: 'Página de reglas'
+    },
+    'POST /api/approval-rules': { summary: 'Crear regla de aprobación', body: approvalRuleSchema, response: 'Regla creada' },
+    'PUT /api/approval-rules/:id': { summary: 'Actualizar o desactivar una regla de aprobación', body: approvalRuleUpdateSchema },
+    'GET /api/webhooks': { summary: 'Listar webhooks', query: webhookListSchema, response: 'Página de webhooks' },
+    'POST /api/webhooks': {
+      summary: 'Registrar webhook (la respuesta incluye el secreto de firma, que no se vuelve a mostrar)',
+      body: webhookSchema,
+      response: 'Webhook creado'
+    },
+    'GET /api/webhooks/:id': { summary: 'Detalle de un webhook con el conteo de entregas por estado' },
+    'PUT /api/webhooks/:id': { summary: 'Actualizar o desactivar un webhook', body: webhookUpdateSchema },
+    'GET /api/webhooks/:id/deliveries': {
+      summary: 'Registro de entregas',
+      query: webhookDeliveryListSchema,
+      response: 'Página de entregas'
+    },
+    'POST /api/webhooks/deliveries/:deliveryId/replay': {
+      summary: 'Reenviar una entrega',
+      response: 'Entrega programada',
+      errors: { 409: 'El webhook está desactivado' }
+    }
+  }
+});
+
+// Manejo global de errores
+app.use(errorHandler);
+
 app.listen(PORT, () => {
-  console.log(`📊 Imports Service corriendo en puerto ${PORT}`);
+  logger.info(`📊 Imports Service corriendo en puerto ${PORT}`);
+  new EventBus()
+    .subscribe('webhooks', ['*'], fanOutWebhooks)
+    .subscribe(REPLICA_CONSUMER, REPLICA_EVENTS, applyReplicaEvent)
+    .start();
+  startWebhookWorker();
+  startTrackingPoller();
 });
\ No newline at end of file
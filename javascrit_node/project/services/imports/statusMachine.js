@@ -0,0 +1,34 @@
+// Ciclo de vida de una importación: estados válidos y transiciones permitidas
+export const IMPORT_STATUSES = [
+  'awaiting_approval', 'changes_requested', 'rejected',
+  'pending', 'processing', 'shipped', 'in_transit', 'customs', 'delivered', 'cancelled'
+];
+
+// Transiciones de PUT /api/imports/:id/status. Las que salen de awaiting_approval y
+// changes_requested (aprobar, rechazar, pedir cambios, reenviar) solo ocurren a través
+// del flujo de aprobación (approvals.js), nunca con un cambio de estado directo.
+export const STATUS_TRANSITIONS = {
+  awaiting_approval: ['cancelled'],
+  changes_requested: ['cancelled'],
+  rejected: [],
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['in_transit', 'customs'],
+  in_transit: ['customs', 'delivered'],
+  customs: ['in_transit', 'delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Estados sin transiciones de salida: la importación ya no está en curso
+export const FINAL_STATUSES = IMPORT_STATUSES.filter(status => STATUS_TRANSITIONS[status].length === 0);
+
+// Estados en los que una importación se puede eliminar: todavía no hay mercadería en
+// camino o ya no la habrá
+export const DELETABLE_STATUSES = ['awaiting_approval', 'changes_requested', 'pending', ...FINAL_STATUSES.filter(status => status !== 'delivered')];
+
+export const isValidStatus = (status) => IMPORT_STATUSES.includes(status);
+
+export const allowedTransitions = (from) => STATUS_TRANSITIONS[from] || [];
+
+export const canTransition = (from, to) => allowedTransitions(from).includes(to);
@@ -0,0 +1,257 @@
+import Joi from 'joi';
+import db from '../../config/database.js';
+import logger from '../../config/logger.js';
+import { auditUpdate } from '../../config/audit.js';
+import { recordEvent } from '../../config/outbox.js';
+import { STATUS_TRANSITIONS } from './statusMachine.js';
+import { outstandingQuantity } from './receiving.js';
+import { toIsoDate } from './currency.js';
+import { TRACKING_EVENT_CODES, getCarrierAdapter } from './carriers.js';
+
+// Seguimiento de embarques: guarda los eventos de la transportista de cada importación,
+// recalcula la fecha estimada de llegada y avanza el estado según el último evento.
+
+// Estados en los que la transportista puede mover la importación
+export const TRACKABLE_STATUSES = ['processing', 'shipped', 'in_transit', 'customs'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.TRACKING_POLL_INTERVAL_MS || String(15 * 60 * 1000), 10);
+const POLL_BATCH_SIZE = 50;
+
+export const trackingEventSchema = Joi.object({
+  external_id: Joi.string().max(100).description('Identificador del evento en la transportista (evita duplicados)'),
+  code: Joi.string().valid(...Object.keys(TRACKING_EVENT_CODES)).required(),
+  description: Joi.string().max(500),
+  location: Joi.string().max(200),
+  occurred_at: Joi.date().required(),
+  estimated_arrival: Joi.date().description('Nueva fecha estimada de llegada informada por la transportista')
+});
+
+// Error del seguimiento con el código HTTP que debe devolver la ruta
+export class TrackingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const toTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Sin identificador de la transportista, un evento se reconoce por código, fecha y lugar
+const eventKey = (event) => event.external_id || `${event.code}|${toTimestamp(event.occurred_at)}|${event.location || ''}`;
+
+// Camino más corto de estados permitidos entre `from` y `to`, sin pasar por cancelled
+const statusPath = (from, to) => {
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const status = queue.shift();
+    if (status === to) {
+      const path = [];
+      for (let step = to; step !== from; step = previous.get(step)) {
+        path.unshift(step);
+      }
+      return path;
+    }
+    for (const next of STATUS_TRANSITIONS[status] || []) {
+      if (next !== 'cancelled' && !previous.has(next)) {
+        previous.set(next, status);
+        queue.push(next);
+      }
+    }
+  }
+
+  return [];
+};
+
+const isFullyReceived = async (tx, importId) => {
+  const items = await tx.query(
+    'SELECT quantity, received_quantity, damaged_quantity, closed_quantity FROM import_items WHERE import_id = ?',
+    [importId]
+  );
+  return items.every(item => outstandingQuantity(item) === 0);
+};
+
+const advanceStatus = async (tx, importRecord, event, { carrier, userId }) => {
+  const path = statusPath(importRecord.status, TRACKING_EVENT_CODES[event.code]);
+
+  // La entrega la confirma la recepción en bodega, no solo la transportista
+  if (path.at(-1) === 'delivered' && !(await isFullyReceived(tx, importRecord.id))) {
+    logger.info('Evento de entrega sin recepción completa: la importación no se marca como entregada', {
+      import_id: importRecord.id
+    });
+    path.pop();
+  }
+
+  let current = importRecord.status;
+  for (const status of path) {
+    const comment = `Seguimiento ${carrier}: ${event.description || event.code}`;
+    await tx.run(
+      'UPDATE imports SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, importRecord.id]
+    );
+    await tx.run(
+      `INSERT INTO import_status_history (import_id, from_status, to_status, changed_by, comment, tracking_number)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [importRecord.id, current, status, userId, comment, importRecord.tracking_number]
+    );
+
+    const change = {
+      import_id: importRecord.id,
+      import_code: importRecord.import_code,
+      from_status: current,
+      to_status: status,
+      tracking_number: importRecord.tracking_number,
+      comment,
+      changed_by: userId
+    };
+    await recordEvent(tx, 'import.status_changed', change);
+    if (status === 'delivered') {
+      await recordEvent(tx, 'import.delivered', change);
+    }
+    current = status;
+  }
+
+  return current;
+};
+
+// Guarda los eventos nuevos (los ya conocidos se ignoran) y aplica sus efectos.
+// `userId` es null cuando los eventos llegan del poller.
+export const ingestTrackingEvents = async (importId, { carrier, events, userId = null }) => {
+  const normalized = events.map((raw, index) => {
+    const { error, value } = trackingEventSchema.validate(raw);
+    if (error) {
+      throw new TrackingError(`Evento ${index + 1}: ${error.details[0].message}`);
+    }
+    return value;
+  }).sort((a, b) => a.occurred_at - b.occurred_at);
+
+  return db.transaction(async (tx) => {
+    const imports = await tx.query(
+      'SELECT id, import_code, status, tracking_number, estimated_arrival FROM imports WHERE id = ? AND deleted_at IS NULL',
+      [importId]
+    );
+    if (imports.length === 0) {
+      throw new TrackingError('Importación no encontrada', 404);
+    }
+    const importRecord = imports[0];
+
+    const inserted = [];
+    for (const event of normalized) {
+      const result = await tx.run(
+        `INSERT OR IGNORE INTO tracking_events
+           (import_id, carrier, event_key, event_code, description, location, occurred_at, estimated_arrival, recorded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          importRecord.id, carrier, eventKey(event), event.code, event.description || null, event.location || null,
+          toTimestamp(event.occurred_at), toIsoDate(event.estimated_arrival), userId
+        ]
+      );
+      if (result.changes > 0) {
+        inserted.push({ ...event, id: result.id });
+      }
+    }
+
+    await tx.run('UPDATE imports SET tracking_synced_at = CURRENT_TIMESTAMP WHERE id = ?', [importRecord.id]);
+
+    if (inserted.length === 0) {
+      return { inserted, status: importRecord.status };
+    }
+
+    // La fecha estimada vigente es la del evento más reciente que trae una
+    const [eta] = await tx.query(`
+      SELECT estimated_arrival FROM tracking_events
+      WHERE import_id = ? AND estimated_arrival IS NOT NULL
+      ORDER BY occurred_at DESC, id DESC LIMIT 1
+    `, [importRecord.id]);
+
+    // El estado solo sigue a un evento nuevo: un evento viejo que llega tarde no lo hace retroceder
+    const statusCodes = Object.keys(TRACKING_EVENT_CODES).filter(code => TRACKING_EVENT_CODES[code]);
+    const [latest] = await tx.query(`
+      SELECT id FROM tracking_events
+      WHERE import_id = ? AND event_code IN (${statusCodes.map(() => '?').join(', ')})
+      ORDER BY occurred_at DESC, id DESC LIMIT 1
+    `, [importRecord.id, ...statusCodes]);
+    const statusEvent = latest && inserted.find(event => event.id === latest.id);
+
+    let status = importRecord.status;
+    await auditUpdate(tx, { entity: 'import', table: 'imports', id: importRecord.id, action: 'tracking' }, async () => {
+      if (eta && eta.estimated_arrival !== importRecord.estimated_arrival) {
+        await tx.run(
+          `UPDATE imports
+           SET original_estimated_arrival = COALESCE(original_estimated_arrival, estimated_arrival),
+               estimated_arrival = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [eta.estimated_arrival, importRecord.id]
+        );
+      }
+
+      if (statusEvent && TRACKABLE_STATUSES.includes(importRecord.status)) {
+        status = await advanceStatus(tx, importRecord, statusEvent, { carrier, userId });
+      }
+    });
+
+    await recordEvent(tx, 'import.tracking_updated', {
+      import_id: importRecord.id,
+      import_code: importRecord.import_code,
+      carrier,
+      tracking_number: importRecord.tracking_number,
+      status,
+      estimated_arrival: eta ? eta.estimated_arrival : importRecord.estimated_arrival,
+      events: inserted.map(event => ({
+        code: event.code,
+        description: event.description || null,
+        location: event.location || null,
+        occurred_at: toTimestamp(event.occurred_at)
+      }))
+    });
+
+    return { inserted, status };
+  });
+};
+
+// Consulta a la transportista configurada en la importación
+export const syncTracking = async (importRecord) => {
+  if (!importRecord.carrier || !importRecord.tracking_number) {
+    throw new TrackingError('La importación no tiene transportista y número de guía configurados', 409);
+  }
+
+  const events = await getCarrierAdapter(importRecord.carrier).fetchEvents(importRecord.tracking_number);
+  return ingestTrackingEvents(importRecord.id, { carrier: importRecord.carrier, events });
+};
+
+// Empieza por las importaciones sincronizadas hace más tiempo. Debe correr en un solo
+// proceso (el servicio de importaciones), igual que el worker de webhooks.
+const pollDue = async () => {
+  const imports = await db.query(`
+    SELECT id, carrier, tracking_number FROM imports
+    WHERE carrier IS NOT NULL AND tracking_number IS NOT NULL AND deleted_at IS NULL
+      AND status IN (${TRACKABLE_STATUSES.map(() => '?').join(', ')})
+    ORDER BY tracking_synced_at IS NOT NULL, tracking_synced_at
+    LIMIT ?
+  `, [...TRACKABLE_STATUSES, POLL_BATCH_SIZE]);
+
+  for (const importRecord of imports) {
+    try {
+      await syncTracking(importRecord);
+    } catch (error) {
+      logger.warn('No se pudo actualizar el seguimiento', { error, import_id: importRecord.id, carrier: importRecord.carrier });
+      // Para que una guía que falla no bloquee a las demás en el siguiente lote
+      await db.run('UPDATE imports SET tracking_synced_at = CURRENT_TIMESTAMP WHERE id = ?', [importRecord.id]);
+    }
+  }
+};
+
+export const startTrackingPoller = () => {
+  const tick = async () => {
+    try {
+      await pollDue();
+    } catch (error) {
+      logger.error('Error en el poller de seguimiento', { error });
+    }
+    setTimeout(tick, POLL_INTERVAL_MS).unref();
+  };
+
+  tick();
+  logger.info('🚚 Poller de seguimiento iniciado', { poll_interval_ms: POLL_INTERVAL_MS });
+};
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import db from '../../config/database.js';
+import logger from '../../config/logger.js';
+
+// Webhooks salientes. Un consumidor del bus de eventos crea una entrega por cada
+// suscripción interesada; el worker envía las entregas pendientes firmadas con
+// HMAC y reintenta las fallidas con backoff exponencial.
+
+export const WEBHOOK_EVENTS = [
+  'import.created', 'import.status_changed', 'import.delivered', 'import.tracking_updated', 'product.stock_changed'
+];
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed', 'cancelled'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '2000', 10);
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10);
+const DELIVERY_BATCH_SIZE = 20;
+// Lo que se guarda de la respuesta del receptor, para diagnóstico
+const MAX_RESPONSE_BODY = 1000;
+
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Firma `t=<timestamp>,v1=<hmac>` sobre "<timestamp>.<cuerpo>": el receptor recalcula el
+// HMAC con su secreto y puede rechazar timestamps viejos para evitar reenvíos maliciosos
+export const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+export const subscribesTo = (subscription, type) => {
+  const events = JSON.parse(subscription.events);
+  return events.includes('*') || events.includes(type);
+};
+
+// Segundos hasta el siguiente intento: base, 2×base, 4×base...
+const retryDelaySeconds = (attempts) => RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+// Consumidor del bus (todos los eventos): crea las entregas de un evento para las
+// suscripciones activas que existían cuando ocurrió
+export const fanOutWebhooks = async (tx, event) => {
+  const subscriptions = await tx.query(
+    'SELECT id, events FROM webhook_subscriptions WHERE is_active = 1 AND created_at <= ?',
+    [event.created_at]
+  );
+
+  for (const subscription of subscriptions.filter(s => subscribesTo(s, event.type))) {
+    await tx.run(
+      'INSERT INTO webhook_deliveries (subscription_id, event_id) VALUES (?, ?)',
+      [subscription.id, event.id]
+    );
+  }
+};
+
+const recordAttempt = (delivery, { status, responseStatus = null, responseBody = null, error = null }) => {
+  const attempts = delivery.attempts + 1;
+  const retry = status === 'pending';
+
+  return db.run(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, last_attempt_at = CURRENT_TIMESTAMP,
+        next_attempt_at = CASE WHEN ? THEN datetime('now', ?) ELSE next_attempt_at END,
+        delivered_at = CASE WHEN ? = 'succeeded' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+        response_status = ?, response_body = ?, error = ?
+    WHERE id = ?
+  `, [
+    status, attempts, retry ? 1 : 0, `+${retryDelaySeconds(attempts)} seconds`, status,
+    responseStatus, responseBody, error, delivery.id
+  ]);
+};
+
+export const attemptDelivery = async (delivery) => {
+  if (!delivery.is_active) {
+    return recordAttempt(delivery, { status: 'cancelled', error: 'Suscripción desactivada' });
+  }
+
+  const body = JSON.stringify({
+    id: delivery.event_uuid,
+    type: delivery.type,
+    created_at: delivery.event_created_at,
+    data: JSON.parse(delivery.payload)
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let outcome;
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'imports-webhooks/1.0',
+        'x-webhook-id': delivery.event_uuid,
+        'x-webhook-event': delivery.type,
+        'x-webhook-delivery': String(delivery.id),
+        'x-webhook-signature': signPayload(delivery.secret, timestamp, body)
+      },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+
+    const responseBody = typeof response.data === 'string' ? response.data.slice(0, MAX_RESPONSE_BODY) : null;
+    outcome = response.status >= 200 && response.status < 300
+      ? { status: 'succeeded', responseStatus: response.status, responseBody }
+      : { status: 'pending', responseStatus: response.status, responseBody, error: `El receptor respondió ${response.status}` };
+  } catch (error) {
+    outcome = { status: 'pending', error: error.message };
+  }
+
+  if (outcome.status === 'pending' && delivery.attempts + 1 >= MAX_ATTEMPTS) {
+    outcome.status = 'failed';
+  }
+
+  if (outcome.status !== 'succeeded') {
+    logger.warn('Entrega de webhook fallida', {
+      delivery_id: delivery.id,
+      subscription_id: delivery.subscription_id,
+      event_type: delivery.type,
+      attempt: delivery.attempts + 1,
+      error: outcome.error
+    });
+  }
+
+  return recordAttempt(delivery, outcome);
+};
+
+const deliverDue = async () => {
+  const deliveries = await db.query(`
+    SELECT d.id, d.subscription_id, d.attempts, s.url, s.secret, s.is_active,
+           e.event_id as event_uuid, e.type, e.payload, e.created_at as event_created_at
+    FROM webhook_deliveries d
+    JOIN webhook_subscriptions s ON d.subscription_id = s.id
+    JOIN event_outbox e ON d.event_id = e.id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= datetime('now')
+    ORDER BY d.next_attempt_at, d.id
+    LIMIT ?
+  `, [DELIVERY_BATCH_SIZE]);
+
+  for (const delivery of deliveries) {
+    await attemptDelivery(delivery);
+  }
+};
+
+// Debe correr en un solo proceso (el servicio de importaciones): dos workers sobre
+// la misma base enviarían entregas duplicadas
+export const startWebhookWorker = () => {
+  const tick = async () => {
+    try {
+      await deliverDue();
+    } catch (error) {
+      logger.error('Error en el worker de webhooks', { error });
+    }
+    setTimeout(tick, POLL_INTERVAL_MS).unref();
+  };
+
+  tick();
+  logger.info('🔔 Worker de webhooks iniciado', { poll_interval_ms: POLL_INTERVAL_MS });
+};
@@ -0,0 +1,370 @@
+import path from 'path';
+import multer from 'multer';
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import db from '../../config/database.js';
+import { auditCreate, auditUpdate } from '../../config/audit.js';
+import { recordEvent } from '../../config/outbox.js';
+import { publishProduct, publishProductsUnderHsCodes, publishSupplier } from './events.js';
+import { hsCodeError, loadHsCatalogue, rebuildHsHierarchy } from './hsCodes.js';
+
+// Carga masiva de proveedores y productos desde CSV o XLSX. Cada fila se valida con el
+// mismo esquema Joi que los endpoints individuales; la carga real es todo o nada.
+
+const MAX_FILE_BYTES = parseInt(process.env.BULK_IMPORT_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const MAX_ROWS = parseInt(process.env.BULK_IMPORT_MAX_ROWS || '5000', 10);
+// Un arancel completo tiene del orden de 10.000 fracciones
+export const HS_CODE_MAX_ROWS = parseInt(process.env.HS_CODE_IMPORT_MAX_ROWS || '20000', 10);
+
+const SUPPLIER_COLUMNS = ['name', 'country', 'contact_email', 'phone', 'address', 'currency'];
+const PRODUCT_COLUMNS = ['name', 'description', 'price', 'currency', 'category', 'supplier_id', 'stock', 'hs_code', 'weight'];
+const HS_CODE_COLUMNS = ['code', 'description', 'duty_rate', 'vat_rate', 'restriction', 'required_permits', 'notes'];
+
+// Error del archivo completo (formato, tamaño), con el código HTTP que debe devolver la ruta
+export class BulkImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES, files: 1 } });
+
+// Recibe el archivo del campo multipart `file` en req.file
+export const receiveUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: `Archivo inválido: ${error.message}` });
+    }
+    next();
+  });
+};
+
+// "Supplier Name" → supplier_name
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/\s+/g, '_');
+
+// Las celdas vacías se omiten para que Joi aplique los valores por defecto
+const cleanValues = (values) => {
+  return Object.fromEntries(
+    Object.entries(values)
+      .map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value])
+      .filter(([key, value]) => key && value !== '' && value !== null && value !== undefined)
+  );
+};
+
+const parseCsv = (buffer) => {
+  const records = parse(buffer, {
+    columns: (headers) => headers.map(normalizeHeader),
+    bom: true,
+    skip_empty_lines: true,
+    info: true
+  });
+  return records.map(({ record, info }) => ({ row: info.lines, values: cleanValues(record) }));
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new BulkImportError('El archivo no tiene hojas');
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = normalizeHeader(cell.text);
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+    const values = {};
+    row.eachCell((cell, column) => {
+      if (headers[column]) {
+        values[headers[column]] = cell.text;
+      }
+    });
+    const cleaned = cleanValues(values);
+    if (Object.keys(cleaned).length > 0) {
+      rows.push({ row: rowNumber, values: cleaned });
+    }
+  });
+
+  return rows;
+};
+
+// Devuelve las filas del archivo como [{ row, values }], donde `row` es el número de
+// línea en el archivo (la fila 1 es el encabezado)
+export const parseUpload = async (file, { maxRows = MAX_ROWS } = {}) => {
+  if (!file) {
+    throw new BulkImportError('Falta el archivo (campo "file")');
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  let rows;
+
+  try {
+    if (extension === '.csv' || file.mimetype === 'text/csv') {
+      rows = parseCsv(file.buffer);
+    } else if (extension === '.xlsx') {
+      rows = await parseXlsx(file.buffer);
+    } else {
+      throw new BulkImportError('Formato no soportado: usa CSV o XLSX', 415);
+    }
+  } catch (error) {
+    if (error instanceof BulkImportError) {
+      throw error;
+    }
+    throw new BulkImportError(`No se pudo leer el archivo: ${error.message}`);
+  }
+
+  if (rows.length === 0) {
+    throw new BulkImportError('El archivo no tiene filas de datos');
+  }
+  if (rows.length > maxRows) {
+    throw new BulkImportError(`El archivo supera el máximo de ${maxRows} filas`, 413);
+  }
+
+  return rows;
+};
+
+// Agrupa los registros existentes por clave natural
+const indexBy = (records, keyOf) => {
+  const index = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    index.set(key, [...(index.get(key) || []), record]);
+  }
+  return index;
+};
+
+// Decide la acción de una fila ya validada según su clave natural
+const planRow = (entry, key, existingByKey, seenKeys) => {
+  if (seenKeys.has(key)) {
+    entry.errors.push(`Duplicado de la fila ${seenKeys.get(key)}`);
+    return entry;
+  }
+  seenKeys.set(key, entry.row);
+
+  const matches = existingByKey.get(key) || [];
+  if (matches.length > 1) {
+    entry.errors.push(`Hay ${matches.length} registros existentes con la misma clave (ids ${matches.map(m => m.id).join(', ')})`);
+  } else if (matches.length === 1) {
+    entry.action = 'update';
+    entry.id = matches[0].id;
+  }
+  return entry;
+};
+
+const validateRow = (schema, values, entry) => {
+  const { error, value } = schema.validate(values, { abortEarly: false });
+  if (error) {
+    entry.errors.push(...error.details.map(detail => detail.message));
+  }
+  return value;
+};
+
+const finalizePlan = (entries) => {
+  return entries.map(entry => (entry.errors.length > 0 ? { ...entry, action: 'error', id: null } : entry));
+};
+
+// Proveedores: la clave natural es el nombre (sin distinguir mayúsculas). Los registros
+// eliminados no se consideran: una fila con el mismo nombre crea uno nuevo.
+const planSupplierImport = async (rows, schema) => {
+  const existing = await db.query('SELECT id, name FROM suppliers WHERE deleted_at IS NULL');
+  const existingByKey = indexBy(existing, supplier => supplier.name.toLowerCase());
+  const seenKeys = new Map();
+
+  return finalizePlan(rows.map(({ row, values }) => {
+    const entry = { row, action: 'create', id: null, name: values.name || null, values: null, provided: Object.keys(values), errors: [] };
+    entry.values = validateRow(schema, values, entry);
+    if (entry.errors.length > 0) {
+      return entry;
+    }
+    return planRow(entry, entry.values.name.toLowerCase(), existingByKey, seenKeys);
+  }));
+};
+
+// Productos: la clave natural es proveedor + nombre. El proveedor se indica con
+// `supplier_id` o con `supplier_name`.
+const planProductImport = async (rows, schema) => {
+  const suppliers = await db.query('SELECT id, name FROM suppliers WHERE deleted_at IS NULL');
+  const supplierIds = new Set(suppliers.map(supplier => supplier.id));
+  const suppliersByName = indexBy(suppliers, supplier => supplier.name.toLowerCase());
+
+  const existing = await db.query('SELECT id, supplier_id, name FROM products WHERE deleted_at IS NULL');
+  const existingByKey = indexBy(existing, product => `${product.supplier_id}:${product.name.toLowerCase()}`);
+  const hsCatalogue = await loadHsCatalogue();
+  const seenKeys = new Map();
+
+  return finalizePlan(rows.map(({ row, values }) => {
+    const { supplier_name: supplierName, ...productValues } = values;
+    const entry = { row, action: 'create', id: null, name: values.name || null, values: null, provided: Object.keys(productValues), errors: [] };
+
+    if (productValues.supplier_id === undefined && supplierName) {
+      const matches = suppliersByName.get(supplierName.toLowerCase()) || [];
+      if (matches.length === 1) {
+        productValues.supplier_id = matches[0].id;
+        entry.provided.push('supplier_id');
+      } else {
+        entry.errors.push(matches.length === 0
+          ? `El proveedor "${supplierName}" no existe`
+          : `Hay ${matches.length} proveedores llamados "${supplierName}"; usa supplier_id`);
+        return entry;
+      }
+    }
+
+    entry.values = validateRow(schema, productValues, entry);
+    if (entry.errors.length > 0) {
+      return entry;
+    }
+
+    if (!supplierIds.has(entry.values.supplier_id)) {
+      entry.errors.push(`El proveedor ${entry.values.supplier_id} no existe`);
+      return entry;
+    }
+
+    const hsError = hsCodeError(entry.values.hs_code, hsCatalogue);
+    if (hsError) {
+      entry.errors.push(hsError);
+      return entry;
+    }
+
+    return planRow(entry, `${entry.values.supplier_id}:${entry.values.name.toLowerCase()}`, existingByKey, seenKeys);
+  }));
+};
+
+// Catálogo HS: la clave natural es el código normalizado
+const planHsCodeImport = async (rows, schema) => {
+  const existing = await db.query('SELECT id, code FROM hs_codes');
+  const existingByKey = indexBy(existing, hsCode => hsCode.code);
+  const seenKeys = new Map();
+
+  return finalizePlan(rows.map(({ row, values }) => {
+    const entry = { row, action: 'create', id: null, name: values.code || null, values: null, provided: Object.keys(values), errors: [] };
+    entry.values = validateRow(schema, values, entry);
+    if (entry.errors.length > 0) {
+      return entry;
+    }
+    return planRow(entry, entry.values.code, existingByKey, seenKeys);
+  }));
+};
+
+// Las listas se guardan como JSON
+const columnValue = (value) => (Array.isArray(value) ? JSON.stringify(value) : value ?? null);
+
+// Al actualizar solo se tocan las columnas presentes en el archivo, para no pisar
+// (por ejemplo) el stock con el valor por defecto. Cada fila deja su propio registro de
+// auditoría y, si el destino lo pide, su evento con el estado final (`publish`).
+const applyPlan = async (tx, plan, { entity, table, columns, touchUpdatedAt, stockEvents, publish }) => {
+  for (const entry of plan) {
+    if (entry.action === 'create') {
+      const result = await tx.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => columnValue(entry.values[column]))
+      );
+      entry.id = result.id;
+      await auditCreate(tx, { entity, table, id: entry.id });
+    } else {
+      const updated = columns.filter(column => entry.provided.includes(column));
+      const assignments = updated.map(column => `${column} = ?`);
+      if (touchUpdatedAt) {
+        assignments.push('updated_at = CURRENT_TIMESTAMP');
+      }
+      const previous = stockEvents && updated.includes('stock')
+        ? (await tx.query(`SELECT stock FROM ${table} WHERE id = ?`, [entry.id]))[0]
+        : null;
+
+      await auditUpdate(tx, { entity, table, id: entry.id }, () => tx.run(
+        `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ?`,
+        [...updated.map(column => columnValue(entry.values[column])), entry.id]
+      ));
+
+      if (previous && (previous.stock || 0) !== entry.values.stock) {
+        await recordEvent(tx, 'product.stock_changed', {
+          product_id: entry.id,
+          previous_stock: previous.stock || 0,
+          stock: entry.values.stock,
+          change: entry.values.stock - (previous.stock || 0),
+          reason: 'bulk_import'
+        });
+      }
+    }
+
+    if (publish) {
+      await publish(tx, entry.id);
+    }
+  }
+};
+
+// Con `dryRun` solo se arma el plan. En la carga real el plan se arma y aplica dentro
+// de una transacción, y no se escribe nada si alguna fila tiene errores.
+const runImport = async (rows, schema, { dryRun, planner, target }) => {
+  if (dryRun) {
+    return summarizePlan(await planner(rows, schema), { dryRun });
+  }
+
+  const plan = await db.transaction(async (tx) => {
+    const planned = await planner(rows, schema);
+    if (planned.every(entry => entry.action !== 'error')) {
+      await applyPlan(tx, planned, target);
+      if (target.afterApply) {
+        await target.afterApply(tx, planned);
+      }
+    }
+    return planned;
+  });
+
+  return summarizePlan(plan, { dryRun });
+};
+
+export const importSuppliers = (rows, schema, { dryRun = false } = {}) => {
+  return runImport(rows, schema, {
+    dryRun,
+    planner: planSupplierImport,
+    target: { entity: 'supplier', table: 'suppliers', columns: SUPPLIER_COLUMNS, touchUpdatedAt: false, publish: publishSupplier }
+  });
+};
+
+export const importProducts = (rows, schema, { dryRun = false } = {}) => {
+  return runImport(rows, schema, {
+    dryRun,
+    planner: planProductImport,
+    target: {
+      entity: 'product', table: 'products', columns: PRODUCT_COLUMNS, touchUpdatedAt: true, stockEvents: true, publish: publishProduct
+    }
+  });
+};
+
+// Los productos con códigos afectados se vuelven a publicar con sus tasas nuevas
+const afterHsCodeImport = async (tx, plan) => {
+  await rebuildHsHierarchy(tx);
+  await publishProductsUnderHsCodes(tx, plan.map(entry => entry.values.code));
+};
+
+export const importHsCodes = (rows, schema, { dryRun = false } = {}) => {
+  return runImport(rows, schema, {
+    dryRun,
+    planner: planHsCodeImport,
+    target: { entity: 'hs_code', table: 'hs_codes', columns: HS_CODE_COLUMNS, touchUpdatedAt: true, afterApply: afterHsCodeImport }
+  });
+};
+
+// Reporte por fila para la respuesta
+const summarizePlan = (plan, { dryRun }) => {
+  const count = (action) => plan.filter(entry => entry.action === action).length;
+  return {
+    dry_run: dryRun,
+    summary: {
+      total: plan.length,
+      created: count('create'),
+      updated: count('update'),
+      errors: count('error')
+    },
+    rows: plan.map(({ row, action, id, name, errors }) => ({ row, action, id, name, errors }))
+  };
+};
@@ -0,0 +1,181 @@
+import db from '../../config/database.js';
+import { auditDelete, auditUpdate } from '../../config/audit.js';
+import { publishProduct, publishSupplier } from './events.js';
+
+// Borrado lógico de productos y proveedores. Un registro eliminado conserva sus datos
+// (deleted_at, deleted_by) y se puede restaurar; un admin puede purgarlo después si
+// nada lo referencia. Al eliminar un proveedor se eliminan también sus productos con la
+// misma marca de tiempo, y al restaurarlo vuelven solo esos. Las comprobaciones de que
+// nada los referencia leen las tablas de importaciones en la misma transacción que el
+// borrado; es una excepción deliberada a las copias por eventos (ver el README).
+
+// Estados en los que una importación ya no está en curso
+const CLOSED_IMPORT_STATUSES = ['rejected', 'delivered', 'cancelled'];
+const CLOSED_PLACEHOLDERS = CLOSED_IMPORT_STATUSES.map(() => '?').join(', ');
+
+// Error de borrado con el código HTTP que debe devolver la ruta
+export class DeletionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const findRecord = async (tx, table, id, notFound) => {
+  const rows = await tx.query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (rows.length === 0) {
+    throw new DeletionError(notFound, 404);
+  }
+  return rows[0];
+};
+
+// Cada cambio publica el estado del registro para las copias de otros servicios
+const PUBLISHERS = { products: publishProduct, suppliers: publishSupplier };
+
+const findProduct = (tx, id) => findRecord(tx, 'products', id, 'Producto no encontrado');
+const findSupplier = (tx, id) => findRecord(tx, 'suppliers', id, 'Proveedor no encontrado');
+
+const markDeleted = async (tx, { entity, table, id }, deletedAt, userId) => {
+  await auditUpdate(tx, { entity, table, id, action: 'delete' }, () => tx.run(
+    `UPDATE ${table} SET deleted_at = ?, deleted_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [deletedAt, userId, id]
+  ));
+  await PUBLISHERS[table](tx, id);
+};
+
+const markRestored = async (tx, { entity, table, id }) => {
+  await auditUpdate(tx, { entity, table, id, action: 'restore' }, () => tx.run(
+    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [id]
+  ));
+  await PUBLISHERS[table](tx, id);
+};
+
+const purge = async (tx, { entity, table, id }) => {
+  await auditDelete(tx, { entity, table, id, action: 'purge' });
+  await tx.run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+  await PUBLISHERS[table](tx, id);
+};
+
+const currentTimestamp = async (tx) => {
+  const [{ now }] = await tx.query('SELECT CURRENT_TIMESTAMP as now');
+  return now;
+};
+
+export const deleteProduct = (id, user) => db.transaction(async (tx) => {
+  const product = await findProduct(tx, id);
+  if (product.deleted_at) {
+    throw new DeletionError('El producto ya está eliminado');
+  }
+
+  const [{ count }] = await tx.query(
+    `SELECT COUNT(DISTINCT i.id) as count
+     FROM import_items ii JOIN imports i ON ii.import_id = i.id
+     WHERE ii.product_id = ? AND i.deleted_at IS NULL AND i.status NOT IN (${CLOSED_PLACEHOLDERS})`,
+    [id, ...CLOSED_IMPORT_STATUSES]
+  );
+  if (count > 0) {
+    throw new DeletionError(`El producto está en ${count} importación(es) abierta(s)`);
+  }
+
+  await markDeleted(tx, { entity: 'product', table: 'products', id }, await currentTimestamp(tx), user.id);
+});
+
+export const restoreProduct = (id) => db.transaction(async (tx) => {
+  const product = await findProduct(tx, id);
+  if (!product.deleted_at) {
+    throw new DeletionError('El producto no está eliminado');
+  }
+
+  const [supplier] = await tx.query('SELECT deleted_at FROM suppliers WHERE id = ?', [product.supplier_id]);
+  if (supplier?.deleted_at) {
+    throw new DeletionError('El proveedor del producto está eliminado; restáuralo primero');
+  }
+
+  await markRestored(tx, { entity: 'product', table: 'products', id });
+});
+
+// Los productos con historial de importaciones no se purgan: se conservan eliminados
+export const purgeProduct = (id) => db.transaction(async (tx) => {
+  const product = await findProduct(tx, id);
+  if (!product.deleted_at) {
+    throw new DeletionError('Solo se pueden purgar productos eliminados');
+  }
+
+  const [{ count }] = await tx.query('SELECT COUNT(DISTINCT import_id) as count FROM import_items WHERE product_id = ?', [id]);
+  if (count > 0) {
+    throw new DeletionError(`El producto figura en ${count} importación(es) y no se puede purgar`);
+  }
+
+  await purge(tx, { entity: 'product', table: 'products', id });
+});
+
+// Devuelve la cantidad de productos eliminados junto con el proveedor
+export const deleteSupplier = (id, user) => db.transaction(async (tx) => {
+  const supplier = await findSupplier(tx, id);
+  if (supplier.deleted_at) {
+    throw new DeletionError('El proveedor ya está eliminado');
+  }
+
+  const [{ count }] = await tx.query(
+    `SELECT COUNT(*) as count FROM imports
+     WHERE supplier_id = ? AND deleted_at IS NULL AND status NOT IN (${CLOSED_PLACEHOLDERS})`,
+    [id, ...CLOSED_IMPORT_STATUSES]
+  );
+  if (count > 0) {
+    throw new DeletionError(`El proveedor tiene ${count} importación(es) activa(s)`);
+  }
+
+  const deletedAt = await currentTimestamp(tx);
+  await markDeleted(tx, { entity: 'supplier', table: 'suppliers', id }, deletedAt, user.id);
+
+  const products = await tx.query('SELECT id FROM products WHERE supplier_id = ? AND deleted_at IS NULL', [id]);
+  for (const product of products) {
+    await markDeleted(tx, { entity: 'product', table: 'products', id: product.id }, deletedAt, user.id);
+  }
+  return products.length;
+});
+
+// Devuelve la cantidad de productos restaurados junto con el proveedor
+export const restoreSupplier = (id) => db.transaction(async (tx) => {
+  const supplier = await findSupplier(tx, id);
+  if (!supplier.deleted_at) {
+    throw new DeletionError('El proveedor no está eliminado');
+  }
+
+  const products = await tx.query('SELECT id FROM products WHERE supplier_id = ? AND deleted_at = ?', [id, supplier.deleted_at]);
+  await markRestored(tx, { entity: 'supplier', table: 'suppliers', id });
+  for (const product of products) {
+    await markRestored(tx, { entity: 'product', table: 'products', id: product.id });
+  }
+  return products.length;
+});
+
+// Purga el proveedor con todos sus productos; no debe quedar nada que los referencie
+export const purgeSupplier = (id) => db.transaction(async (tx) => {
+  const supplier = await findSupplier(tx, id);
+  if (!supplier.deleted_at) {
+    throw new DeletionError('Solo se pueden purgar proveedores eliminados');
+  }
+
+  const [references] = await tx.query(
+    `SELECT
+       (SELECT COUNT(*) FROM imports WHERE supplier_id = ?) as imports,
+       (SELECT COUNT(*) FROM import_items ii JOIN products p ON ii.product_id = p.id WHERE p.supplier_id = ?) as import_items,
+       (SELECT COUNT(*) FROM approval_rules WHERE supplier_id = ?) as approval_rules`,
+    [id, id, id]
+  );
+  if (references.imports > 0 || references.import_items > 0) {
+    throw new DeletionError('El proveedor o sus productos figuran en importaciones y no se pueden purgar');
+  }
+  if (references.approval_rules > 0) {
+    throw new DeletionError(`El proveedor tiene ${references.approval_rules} regla(s) de aprobación; cámbialas a otro proveedor primero`);
+  }
+
+  const products = await tx.query('SELECT id FROM products WHERE supplier_id = ?', [id]);
+  for (const product of products) {
+    await purge(tx, { entity: 'product', table: 'products', id: product.id });
+  }
+  await purge(tx, { entity: 'supplier', table: 'suppliers', id });
+  return products.length;
+});
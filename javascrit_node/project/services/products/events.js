@@ -0,0 +1,34 @@
+import { recordEvent } from '../../config/outbox.js';
+import { findHsTariff, hsCodeUnder } from './hsCodes.js';
+
+// Eventos con el estado completo de proveedores y productos. El servicio de importaciones
+// guarda una copia de estos datos con ellos en lugar de leer las tablas de este servicio.
+// Se publican con el `tx` del cambio después de escribirlo; si el registro ya no existe
+// (purga) el evento lleva null.
+
+const SUPPLIER_FIELDS = 'id, name, country, contact_email, phone, address, currency, is_active, deleted_at';
+const PRODUCT_FIELDS = 'id, supplier_id, name, description, category, hs_code, weight, deleted_at';
+
+export const publishSupplier = async (tx, id) => {
+  const [supplier] = await tx.query(`SELECT ${SUPPLIER_FIELDS} FROM suppliers WHERE id = ?`, [id]);
+  await recordEvent(tx, 'supplier.changed', { supplier_id: Number(id), supplier: supplier || null });
+};
+
+// El producto lleva las tasas del catálogo HS que se le aplican
+export const publishProduct = async (tx, id) => {
+  const [product] = await tx.query(`SELECT ${PRODUCT_FIELDS} FROM products WHERE id = ?`, [id]);
+  await recordEvent(tx, 'product.changed', {
+    product_id: Number(id),
+    product: product ? { ...product, tariff: await findHsTariff(tx, product.hs_code) } : null
+  });
+};
+
+// Después de cambiar el catálogo HS se vuelven a publicar los productos cuyo código es
+// alguno de `codes` o cuelga de ellos, porque sus tasas pueden haber cambiado
+export const publishProductsUnderHsCodes = async (tx, codes) => {
+  const changed = new Set(codes);
+  const products = await tx.query("SELECT id, hs_code FROM products WHERE hs_code IS NOT NULL AND hs_code != '' ORDER BY id");
+  for (const product of products.filter(candidate => hsCodeUnder(candidate.hs_code, changed))) {
+    await publishProduct(tx, product.id);
+  }
+};
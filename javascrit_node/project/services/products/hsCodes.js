@@ -0,0 +1,195 @@
+import Joi from 'joi';
+import db from '../../config/database.js';
+
+// Catálogo de códigos HS. Los códigos se guardan solo con dígitos ("8471.30.01" →
+// "84713001") y cada uno apunta al código más largo del catálogo que es su prefijo,
+// de modo que la jerarquía no depende de que estén cargados todos los niveles.
+
+export const MAX_HS_DIGITS = 12;
+// Los productos se clasifican al menos a nivel de subpartida internacional
+export const MIN_PRODUCT_HS_DIGITS = 6;
+
+// De menos a más grave
+export const HS_RESTRICTIONS = ['restricted', 'prohibited'];
+
+export const HS_LEVELS = {
+  chapter: 2,
+  heading: 4,
+  subheading: 6
+};
+
+export const hsLevel = (code) => {
+  const level = Object.keys(HS_LEVELS).find(name => HS_LEVELS[name] === code.length);
+  return level || 'national';
+};
+
+// "84713001" → "8471.30.01"
+export const formatHsCode = (code) => {
+  if (code.length <= 4 || !/^\d+$/.test(code)) {
+    return code;
+  }
+  return [code.slice(0, 4), ...code.slice(4).match(/\d{1,2}/g)].join('.');
+};
+
+// Acepta "8471.30.01", "8471 30 01", "8471-30-01" o "84713001" y devuelve solo los dígitos
+export const hsCode = ({ minDigits = HS_LEVELS.chapter } = {}) => {
+  return Joi.string().trim().max(20).custom((value, helpers) => {
+    const code = value.replace(/[\s.-]/g, '');
+    if (!/^\d+$/.test(code) || code.length % 2 !== 0 || code.length < minDigits || code.length > MAX_HS_DIGITS) {
+      return helpers.message({
+        custom: `{{#label}} debe ser un código HS de ${minDigits} a ${MAX_HS_DIGITS} dígitos en pares, por ejemplo 8471.30.01`
+      });
+    }
+    return code;
+  }).description('Código HS; se guarda solo con dígitos');
+};
+
+// Lista de permisos como arreglo o, en los archivos CSV/XLSX, separada por ";"
+export const permitList = () => {
+  return Joi.alternatives().try(
+    Joi.array().items(Joi.string().trim().max(100)),
+    Joi.string().custom(value => value.split(';').map(permit => permit.trim()).filter(Boolean))
+  );
+};
+
+const parsePermits = (value) => (value ? JSON.parse(value) : []);
+
+export const presentHsCode = (entry) => ({
+  ...entry,
+  formatted: formatHsCode(entry.code),
+  level: hsLevel(entry.code),
+  required_permits: parsePermits(entry.required_permits)
+});
+
+// Prefijos de un código de mayor a menor: "847130" → ["847130", "8471", "84"]. Un código
+// de largo impar (anterior a la validación) se compara con los niveles pares debajo de él.
+const prefixesOf = (code) => {
+  const prefixes = [code];
+  for (let length = (code.length - 1) - ((code.length - 1) % 2); length >= HS_LEVELS.chapter; length -= 2) {
+    prefixes.push(code.slice(0, length));
+  }
+  return prefixes;
+};
+
+// Primer código de la cadena (ordenada del más específico al capítulo) que tiene el dato
+const mostSpecific = (specificFirst, field) => specificFirst.find(item => item[field] !== null);
+
+// Entrada del catálogo con sus ancestros (de capítulo al código) y los datos que se
+// aplican: la tasa más específica informada, la restricción más grave y todos los
+// permisos de la cadena. Devuelve null si el código no está en el catálogo.
+export const findHsCode = async (code) => {
+  const chain = await db.query(
+    `SELECT * FROM hs_codes WHERE code IN (${prefixesOf(code).map(() => '?').join(', ')}) ORDER BY LENGTH(code)`,
+    prefixesOf(code)
+  );
+  const entry = chain.at(-1);
+  if (!entry || entry.code !== code) {
+    return null;
+  }
+
+  const presented = chain.map(presentHsCode);
+  const specificFirst = [...presented].reverse();
+  const severity = (restriction) => HS_RESTRICTIONS.indexOf(restriction);
+
+  return {
+    ...presented.at(-1),
+    ancestors: presented.slice(0, -1).map(({ code, formatted, level, description }) => ({ code, formatted, level, description })),
+    tariff: {
+      duty_rate: mostSpecific(specificFirst, 'duty_rate')?.duty_rate ?? null,
+      vat_rate: mostSpecific(specificFirst, 'vat_rate')?.vat_rate ?? null,
+      restriction: presented.reduce((worst, item) => (severity(item.restriction) > severity(worst) ? item.restriction : worst), null),
+      required_permits: [...new Set(presented.flatMap(item => item.required_permits))]
+    }
+  };
+};
+
+// Tasas que se aplican al código de un producto, aunque el código exacto no esté en el
+// catálogo: las del nivel más específico de sus prefijos que las tenga. `code` indica de
+// qué código sale el arancel; null si ningún nivel tiene arancel.
+export const findHsTariff = async (tx, code) => {
+  if (!code) {
+    return null;
+  }
+  const specificFirst = await tx.query(
+    `SELECT code, duty_rate, vat_rate FROM hs_codes WHERE code IN (${prefixesOf(code).map(() => '?').join(', ')})
+     ORDER BY LENGTH(code) DESC`,
+    prefixesOf(code)
+  );
+  const duty = mostSpecific(specificFirst, 'duty_rate');
+  if (!duty) {
+    return null;
+  }
+  return { code: duty.code, duty_rate: duty.duty_rate, vat_rate: mostSpecific(specificFirst, 'vat_rate')?.vat_rate ?? null };
+};
+
+// Prefijos de `code` que están entre `codes`: para saber si un cambio en el catálogo lo afecta
+export const hsCodeUnder = (code, codes) => prefixesOf(code).some(prefix => codes.has(prefix));
+
+export const findHsChildren = async (code) => {
+  const children = await db.query('SELECT * FROM hs_codes WHERE parent_code = ? ORDER BY code', [code]);
+  return children.map(presentHsCode);
+};
+
+// Códigos del catálogo, para validar muchos productos con una sola consulta
+export const loadHsCatalogue = async () => {
+  const rows = await db.query('SELECT code FROM hs_codes');
+  return new Set(rows.map(row => row.code));
+};
+
+const missingHsCode = (code) => `El código HS ${formatHsCode(code)} no existe en el catálogo`;
+
+// Mensaje de error si el código de un producto no puede usarse, o null. Con el catálogo
+// vacío solo se valida el formato, para no bloquear instalaciones que aún no lo cargaron.
+export const hsCodeError = (code, catalogue) => {
+  if (!code || catalogue.size === 0 || catalogue.has(code)) {
+    return null;
+  }
+  return missingHsCode(code);
+};
+
+// Lo mismo para un solo código, sin cargar el catálogo completo
+export const checkHsCode = async (code) => {
+  if (!code) {
+    return null;
+  }
+  const [{ loaded, found }] = await db.query(
+    'SELECT EXISTS (SELECT 1 FROM hs_codes) as loaded, EXISTS (SELECT 1 FROM hs_codes WHERE code = ?) as found',
+    [code]
+  );
+  return loaded && !found ? missingHsCode(code) : null;
+};
+
+// Recalcula parent_code de todo el catálogo después de una carga. No se audita:
+// es un dato derivado de los códigos.
+export const rebuildHsHierarchy = async (tx) => {
+  const rows = await tx.query('SELECT id, code, parent_code FROM hs_codes');
+  const codes = new Set(rows.map(row => row.code));
+
+  for (const row of rows) {
+    const parent = prefixesOf(row.code).slice(1).find(prefix => codes.has(prefix)) || null;
+    if (parent !== row.parent_code) {
+      await tx.run('UPDATE hs_codes SET parent_code = ? WHERE id = ?', [parent, row.id]);
+    }
+  }
+};
+
+// Clasificación HS que acompaña al producto en sus respuestas
+export const hsClassification = async (product) => {
+  if (!product.hs_code) {
+    return null;
+  }
+
+  const entry = await findHsCode(product.hs_code);
+  if (!entry) {
+    return { code: product.hs_code, formatted: formatHsCode(product.hs_code), in_catalogue: false };
+  }
+
+  return {
+    code: entry.code,
+    formatted: entry.formatted,
+    in_catalogue: true,
+    description: entry.description,
+    ancestors: entry.ancestors,
+    ...entry.tariff
+  };
+};
@@ -0,0 +1,203 @@
+import db from '../../config/database.js';
+
+// Scorecard de proveedores construido a partir del historial de importaciones:
+// volumen y valor de órdenes, puntualidad, tiempo de entrega, cancelaciones y
+// diferencias en la recepción. El período filtra por fecha de la importación. Lee las
+// tablas del servicio de importaciones: es una excepción deliberada (ver el README).
+
+// Proporción redondeada, o null si no hay casos para calcularla
+const ratio = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+const average = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Las importaciones eliminadas no cuentan
+const periodFilter = ({ supplierId, fromDate, toDate }) => {
+  let where = 'WHERE i.deleted_at IS NULL';
+  const params = [];
+
+  if (supplierId) {
+    where += ' AND i.supplier_id = ?';
+    params.push(supplierId);
+  }
+
+  if (fromDate) {
+    where += ' AND i.import_date >= ?';
+    params.push(fromDate);
+  }
+
+  if (toDate) {
+    where += ' AND i.import_date <= ?';
+    params.push(toDate);
+  }
+
+  return { where, params };
+};
+
+export const emptyScorecard = () => ({
+  orders: { total: 0, open: 0, delivered: 0, cancelled: 0, by_status: {} },
+  // Valor de las órdenes no canceladas en la moneda base, con el tipo de cambio congelado en cada orden
+  order_value: [],
+  delivery: {
+    delivered: 0,
+    evaluated: 0,
+    on_time: 0,
+    late: 0,
+    on_time_rate: null,
+    average_delay_days: null,
+    average_lead_time_days: null
+  },
+  cancellation_rate: null,
+  receiving: {
+    imports_received: 0,
+    imports_with_discrepancies: 0,
+    discrepancy_rate: null,
+    ordered_units: 0,
+    received_units: 0,
+    damaged_units: 0,
+    short_units: 0,
+    over_units: 0
+  }
+});
+
+// Devuelve un Map supplier_id → scorecard para los proveedores con importaciones en el período
+export const buildScorecards = async ({ supplierId = null, fromDate = null, toDate = null } = {}) => {
+  const { where, params } = periodFilter({ supplierId, fromDate, toDate });
+  const scorecards = new Map();
+  const scorecardFor = (id) => {
+    if (!scorecards.has(id)) {
+      scorecards.set(id, emptyScorecard());
+    }
+    return scorecards.get(id);
+  };
+
+  const statusCounts = await db.query(`
+    SELECT i.supplier_id, i.status, COUNT(*) as count
+    FROM imports i
+    ${where}
+    GROUP BY i.supplier_id, i.status
+  `, params);
+
+  for (const row of statusCounts) {
+    const { orders } = scorecardFor(row.supplier_id);
+    orders.by_status[row.status] = row.count;
+    // Una orden rechazada en la aprobación interna nunca llegó al proveedor
+    if (row.status === 'rejected') {
+      continue;
+    }
+    orders.total += row.count;
+    if (row.status === 'delivered') {
+      orders.delivered += row.count;
+    } else if (row.status === 'cancelled') {
+      orders.cancelled += row.count;
+    } else {
+      orders.open += row.count;
+    }
+  }
+
+  const values = await db.query(`
+    SELECT i.supplier_id, i.base_currency as currency, COUNT(*) as orders,
+           SUM(i.total_amount * COALESCE(i.exchange_rate, 1)) as total_value
+    FROM imports i
+    ${where} AND i.status NOT IN ('cancelled', 'rejected')
+    GROUP BY i.supplier_id, i.base_currency
+  `, params);
+
+  for (const row of values) {
+    scorecardFor(row.supplier_id).order_value.push({
+      currency: row.currency,
+      total_value: round2(row.total_value || 0),
+      average_value: round2((row.total_value || 0) / row.orders)
+    });
+  }
+
+  // La fecha real de entrega es la del cambio de estado a delivered. La puntualidad se
+  // mide contra la primera fecha estimada, no contra la que actualizó la transportista.
+  const deliveries = await db.query(`
+    SELECT i.supplier_id, COALESCE(i.original_estimated_arrival, i.estimated_arrival) as estimated_arrival,
+           julianday(date(d.delivered_at)) - julianday(i.import_date) as lead_time_days,
+           julianday(date(d.delivered_at)) - julianday(COALESCE(i.original_estimated_arrival, i.estimated_arrival)) as delay_days
+    FROM imports i
+    JOIN (
+      SELECT import_id, MIN(created_at) as delivered_at
+      FROM import_status_history
+      WHERE to_status = 'delivered'
+      GROUP BY import_id
+    ) d ON d.import_id = i.id
+    ${where}
+  `, params);
+
+  const deliveryTimes = new Map();
+  for (const row of deliveries) {
+    const { delivery } = scorecardFor(row.supplier_id);
+    const times = deliveryTimes.get(row.supplier_id) || { leadTimes: [], delays: [] };
+    deliveryTimes.set(row.supplier_id, times);
+
+    delivery.delivered++;
+    times.leadTimes.push(row.lead_time_days);
+
+    // Sin fecha estimada no se puede juzgar la puntualidad
+    if (row.estimated_arrival) {
+      delivery.evaluated++;
+      if (row.delay_days > 0) {
+        delivery.late++;
+        times.delays.push(row.delay_days);
+      } else {
+        delivery.on_time++;
+      }
+    }
+  }
+
+  for (const [id, times] of deliveryTimes) {
+    const { delivery } = scorecardFor(id);
+    delivery.on_time_rate = ratio(delivery.on_time, delivery.evaluated);
+    delivery.average_delay_days = average(times.delays);
+    delivery.average_lead_time_days = average(times.leadTimes);
+  }
+
+  // Solo cuentan las importaciones con al menos una recepción registrada
+  const receipts = await db.query(`
+    SELECT i.supplier_id, i.id as import_id,
+           SUM(ii.quantity) as ordered_units,
+           SUM(COALESCE(ii.received_quantity, 0)) as received_units,
+           SUM(COALESCE(ii.damaged_quantity, 0)) as damaged_units,
+           SUM(COALESCE(ii.closed_quantity, 0)) as short_units,
+           SUM(MAX(COALESCE(ii.received_quantity, 0) + COALESCE(ii.damaged_quantity, 0) - ii.quantity, 0)) as over_units
+    FROM imports i
+    JOIN import_items ii ON ii.import_id = i.id
+    ${where} AND EXISTS (SELECT 1 FROM goods_receipts gr WHERE gr.import_id = i.id)
+    GROUP BY i.supplier_id, i.id
+  `, params);
+
+  for (const row of receipts) {
+    const { receiving } = scorecardFor(row.supplier_id);
+    receiving.imports_received++;
+    for (const field of ['ordered_units', 'received_units', 'damaged_units', 'short_units', 'over_units']) {
+      receiving[field] += row[field];
+    }
+    if (row.damaged_units > 0 || row.short_units > 0 || row.over_units > 0) {
+      receiving.imports_with_discrepancies++;
+    }
+  }
+
+  for (const scorecard of scorecards.values()) {
+    scorecard.cancellation_rate = ratio(scorecard.orders.cancelled, scorecard.orders.total);
+    scorecard.receiving.discrepancy_rate = ratio(
+      scorecard.receiving.imports_with_discrepancies,
+      scorecard.receiving.imports_received
+    );
+  }
+
+  return scorecards;
+};
+
+export const buildScorecard = async (supplierId, period = {}) => {
+  const scorecards = await buildScorecards({ ...period, supplierId });
+  return scorecards.get(Number(supplierId)) || emptyScorecard();
+};
@@ -0,0 +1,51 @@
+// Búsqueda de texto completo de productos y proveedores sobre los índices FTS5
+// products_fts y suppliers_fts (migración 016), ordenada por relevancia con bm25.
+
+const MARK = "'<mark>', '</mark>'";
+
+// Columnas del índice en su orden, con el peso de cada una en el ranking
+export const PRODUCT_SEARCH = {
+  table: 'products_fts',
+  relevance: 'bm25(products_fts, 10.0, 2.0, 1.0, 5.0, 3.0)',
+  select: `highlight(products_fts, 0, ${MARK}) as match_name, snippet(products_fts, 1, ${MARK}, '…', 16) as match_description`
+};
+
+export const SUPPLIER_SEARCH = {
+  table: 'suppliers_fts',
+  relevance: 'bm25(suppliers_fts, 10.0, 3.0, 1.0, 1.0)',
+  select: `highlight(suppliers_fts, 0, ${MARK}) as match_name, NULL as match_description`
+};
+
+// Convierte el texto del usuario en una consulta FTS5 en la que todas las palabras deben
+// aparecer, cada una como prefijo. Entre comillas para que nada se interprete como
+// sintaxis de FTS5 (AND, NEAR, columna:...). Los puntos de un código HS se quitan,
+// igual que en products.hs_code. Devuelve null si no queda ninguna palabra.
+export const ftsQuery = (search) => {
+  const terms = search
+    .replace(/(\d)[.-](?=\d)/g, '$1')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  return terms.length > 0 ? terms.map(term => `"${term}"*`).join(' ') : null;
+};
+
+// Columna de orden `relevance`: bm25 es menor cuanto más relevante, así que se invierte
+// para que `order=desc` deje primero los mejores resultados
+export const relevanceColumn = (search) => `-${search.relevance}`;
+
+// Con `search` y sin `sort` explícito el listado se ordena por relevancia
+export const searchListQuery = (value, rawQuery) => {
+  if (value.sort === 'relevance' && !value.search) {
+    return { error: 'sort=relevance requiere search' };
+  }
+  if (value.search && rawQuery.sort === undefined) {
+    return { query: { ...value, sort: 'relevance', order: rawQuery.order === undefined ? 'desc' : value.order } };
+  }
+  return { query: value };
+};
+
+// Agrupa las columnas de coincidencia de cada fila en `search_match`
+export const withSearchMatch = ({ match_name: name, match_description: description, ...row }) => ({
+  ...row,
+  search_match: { name, ...(description !== null && { description }) }
+});
@@ -1,10 +1,35 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import Joi from 'joi';
 import db from '../../config/database.js';
-import { authenticateToken } from '../../middleware/auth.js';
+import logger from '../../config/logger.js';
+import { ensureMigrated } from '../../config/migrations.js';
+import { auditCreate, auditUpdate } from '../../config/audit.js';
+import { EventBus } from '../../config/eventBus.js';
+import { recordEvent } from '../../config/outbox.js';
+import { serveOpenApi } from '../../config/openapi.js';
+import { deletedCondition, deletedFilter, listQuerySchema, paginate } from '../../config/pagination.js';
+import {
+  BulkImportError, HS_CODE_MAX_ROWS, importHsCodes, importProducts, importSuppliers, parseUpload, receiveUpload
+} from './bulkImport.js';
+import {
+  DeletionError, deleteProduct, deleteSupplier, purgeProduct, purgeSupplier, restoreProduct, restoreSupplier
+} from './deletion.js';
+import {
+  HS_LEVELS, HS_RESTRICTIONS, MIN_PRODUCT_HS_DIGITS, checkHsCode, findHsChildren, findHsCode, hsClassification,
+  hsCode, permitList, presentHsCode
+} from './hsCodes.js';
+import { buildScorecard, buildScorecards, emptyScorecard } from './scorecard.js';
+import {
+  PRODUCT_SEARCH, SUPPLIER_SEARCH, ftsQuery, relevanceColumn, searchListQuery, withSearchMatch
+} from './search.js';
+import { applyGoodsReceipt } from './stock.js';
+import { publishProduct, publishProductsUnderHsCodes, publishSupplier } from './events.js';
+import { requestContext, errorHandler } from '../../middleware/requestContext.js';
+import { authenticateToken, authorize } from '../../middleware/auth.js';
+
+logger.setService('products');
 
 const app = express();
 const PORT = process.env.PRODUCTS_SERVICE_PORT || 3001;
@@ -12,7 +37,7 @@ const PORT = process.env.PRODUCTS_SERVICE_PORT || 3001;
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
+app.use(requestContext());
 app.use(express.json({ limit: '10mb' }));
 
 // Esquemas de validación
@@ -20,10 +45,11 @@ const productSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
   description: Joi.string().max(500),
   price: Joi.number().positive().required(),
+  currency: Joi.string().length(3).uppercase().default('USD'),
   category: Joi.string().required(),
   supplier_id: Joi.number().integer().positive().required(),
   stock: Joi.number().integer().min(0).default(0),
-  hs_code: Joi.string().max(20),
+  hs_code: hsCode({ minDigits: MIN_PRODUCT_HS_DIGITS }),
   weight: Joi.number().positive()
 });
 
@@ -32,45 +58,217 @@ const supplierSchema = Joi.object({
   country: Joi.string().min(2).max(50).required(),
   contact_email: Joi.string().email(),
   phone: Joi.string().max(20),
-  address: Joi.string().max(200)
+  address: Joi.string().max(200),
+  currency: Joi.string().length(3).uppercase().default('USD')
+});
+
+const hsCodeSchema = Joi.object({
+  description: Joi.string().max(500).required(),
+  duty_rate: Joi.number().min(0).max(10).allow(null).description('Tasa arancelaria de referencia (0.05 = 5%)'),
+  vat_rate: Joi.number().min(0).max(1).allow(null),
+  restriction: Joi.string().valid(...HS_RESTRICTIONS).allow(null),
+  required_permits: permitList().description('Permisos o licencias exigidos para importar'),
+  notes: Joi.string().max(500).allow(null)
+});
+
+// Fila del archivo de arancel
+const hsCodeImportSchema = hsCodeSchema.keys({
+  code: hsCode().required()
+});
+
+const bulkImportQuerySchema = Joi.object({
+  dry_run: Joi.boolean().truthy('1').falsy('0').default(false)
+});
+
+// Campos por los que se pueden ordenar los listados y su columna SQL
+const PRODUCT_SORT_COLUMNS = {
+  name: 'p.name',
+  price: 'p.price',
+  stock: 'p.stock',
+  category: 'p.category',
+  created_at: 'p.created_at',
+  relevance: relevanceColumn(PRODUCT_SEARCH)
+};
+
+const SUPPLIER_SORT_COLUMNS = {
+  name: 's.name',
+  country: 's.country',
+  created_at: 's.created_at',
+  relevance: relevanceColumn(SUPPLIER_SEARCH)
+};
+
+const EMPTY_SEARCH_ERROR = 'La búsqueda no tiene palabras válidas';
+
+const productListSchema = listQuerySchema({
+  filters: {
+    category: Joi.string(),
+    supplier_id: Joi.number().integer().positive(),
+    currency: Joi.string().length(3).uppercase(),
+    search: Joi.string().description('Texto completo en nombre, descripción, categoría, código HS y proveedor; ordena por relevancia'),
+    hs_code: hsCode().description('Productos clasificados bajo este código o sus subdivisiones'),
+    min_price: Joi.number().min(0),
+    max_price: Joi.number().min(0),
+    min_stock: Joi.number().integer().min(0),
+    max_stock: Joi.number().integer().min(0),
+    deleted: deletedFilter()
+  },
+  sortColumns: PRODUCT_SORT_COLUMNS,
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+});
+
+const supplierListSchema = listQuerySchema({
+  filters: {
+    search: Joi.string().description('Texto completo en nombre, país, email y dirección; ordena por relevancia'),
+    country: Joi.string(),
+    currency: Joi.string().length(3).uppercase(),
+    active: Joi.boolean(),
+    deleted: deletedFilter()
+  },
+  sortColumns: SUPPLIER_SORT_COLUMNS,
+  defaultSort: 'name'
+});
+
+const supplierProductListSchema = listQuerySchema({
+  filters: {
+    category: Joi.string(),
+    search: Joi.string().description('Texto completo en nombre, descripción, categoría y código HS; ordena por relevancia'),
+    deleted: deletedFilter()
+  },
+  sortColumns: PRODUCT_SORT_COLUMNS,
+  defaultSort: 'name'
+});
+
+const HS_CODE_SORT_COLUMNS = {
+  code: 'code',
+  description: 'description'
+};
+
+const hsCodeListSchema = listQuerySchema({
+  filters: {
+    search: Joi.string().description('Prefijo del código (con o sin puntos) o texto de la descripción'),
+    parent: hsCode().description('Solo los códigos que cuelgan directamente de este'),
+    level: Joi.string().valid(...Object.keys(HS_LEVELS), 'national'),
+    restriction: Joi.string().valid(...HS_RESTRICTIONS)
+  },
+  sortColumns: HS_CODE_SORT_COLUMNS,
+  defaultSort: 'code'
+});
+
+const scorecardQuerySchema = Joi.object({
+  from_date: Joi.date().description('Fecha de importación desde (inclusive)'),
+  to_date: Joi.date().min(Joi.ref('from_date')).description('Fecha de importación hasta (inclusive)')
+});
+
+const scorecardListSchema = scorecardQuerySchema.keys({
+  active: Joi.boolean()
+});
+
+// Respuesta de las cargas masivas: si la carga real encontró errores no se guardó ninguna fila
+const sendBulkImportReport = (res, report) => {
+  if (!report.dry_run && report.summary.errors > 0) {
+    return res.status(400).json({ error: 'El archivo tiene errores; no se importó ninguna fila', ...report });
+  }
+
+  res.json({
+    message: report.dry_run ? 'Validación completada, no se guardó ningún cambio' : 'Carga masiva completada exitosamente',
+    ...report
+  });
+};
+
+// Las fechas del período se comparan en SQL como YYYY-MM-DD
+const scorecardPeriod = ({ from_date, to_date }) => ({
+  fromDate: from_date ? from_date.toISOString().slice(0, 10) : null,
+  toDate: to_date ? to_date.toISOString().slice(0, 10) : null
 });
 
 // Conectar a la base de datos
 await db.connect();
+await ensureMigrated();
 
 // Rutas de productos
 app.get('/api/products', authenticateToken, async (req, res) => {
   try {
-    const { category, supplier_id, search } = req.query;
-    let query = `
-      SELECT p.*, s.name as supplier_name, s.country as supplier_country 
-      FROM products p 
-      LEFT JOIN suppliers s ON p.supplier_id = s.id 
-      WHERE 1=1
-    `;
+    const { error, value } = productListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { error: sortError, query } = searchListQuery(value, req.query);
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
+    const { category, supplier_id, currency, search, hs_code, min_price, max_price, min_stock, max_stock, deleted } = value;
+    let select = 'p.*, s.name as supplier_name, s.country as supplier_country';
+    let from = 'FROM products p LEFT JOIN suppliers s ON p.supplier_id = s.id';
+    let where = `WHERE 1=1${deletedCondition('p.deleted_at', deleted)}`;
     const params = [];
 
+    if (search) {
+      const match = ftsQuery(search);
+      if (!match) {
+        return res.status(400).json({ error: EMPTY_SEARCH_ERROR });
+      }
+      select += `, ${PRODUCT_SEARCH.select}`;
+      from = 'FROM products_fts JOIN products p ON p.id = products_fts.rowid LEFT JOIN suppliers s ON p.supplier_id = s.id';
+      where += ' AND products_fts MATCH ?';
+      params.push(match);
+    }
+
     if (category) {
-      query += ' AND p.category = ?';
+      where += ' AND p.category = ?';
       params.push(category);
     }
 
     if (supplier_id) {
-      query += ' AND p.supplier_id = ?';
+      where += ' AND p.supplier_id = ?';
       params.push(supplier_id);
     }
 
-    if (search) {
-      query += ' AND (p.name LIKE ? OR p.description LIKE ?)';
-      params.push(`%${search}%`, `%${search}%`);
+    if (currency) {
+      where += ' AND p.currency = ?';
+      params.push(currency);
     }
 
-    query += ' ORDER BY p.created_at DESC';
+    if (hs_code) {
+      where += ' AND p.hs_code LIKE ?';
+      params.push(`${hs_code}%`);
+    }
+
+    if (min_price !== undefined) {
+      where += ' AND p.price >= ?';
+      params.push(min_price);
+    }
+
+    if (max_price !== undefined) {
+      where += ' AND p.price <= ?';
+      params.push(max_price);
+    }
 
-    const products = await db.query(query, params);
-    res.json(products);
+    if (min_stock !== undefined) {
+      where += ' AND p.stock >= ?';
+      params.push(min_stock);
+    }
+
+    if (max_stock !== undefined) {
+      where += ' AND p.stock <= ?';
+      params.push(max_stock);
+    }
+
+    const page = await paginate({
+      select,
+      from,
+      where,
+      params,
+      sortColumns: PRODUCT_SORT_COLUMNS,
+      idColumn: 'p.id',
+      query
+    });
+
+    res.json(search ? { ...page, data: page.data.map(withSearchMatch) } : page);
   } catch (error) {
-    console.error('Error obteniendo productos:', error);
+    logger.error('Error obteniendo productos', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -82,7 +280,7 @@ app.get('/api/products/:id', authenticateToken, async (req, res) => {
       `SELECT p.*, s.name as supplier_name, s.country as supplier_country 
        FROM products p 
        LEFT JOIN suppliers s ON p.supplier_id = s.id 
-       WHERE p.id = ?`, 
+       WHERE p.id = ? AND p.deleted_at IS NULL`, 
       [id]
     );
 
@@ -90,9 +288,9 @@ app.get('/api/products/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Producto no encontrado' });
     }
 
-    res.json(products[0]);
+    res.json({ ...products[0], hs_classification: await hsClassification(products[0]) });
   } catch (error) {
-    console.error('Error obteniendo producto:', error);
+    logger.error('Error obteniendo producto', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -104,22 +302,52 @@ app.post('/api/products', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { name, description, price, category, supplier_id, stock, hs_code, weight } = value;
+    const { name, description, price, currency, category, supplier_id, stock, hs_code, weight } = value;
 
-    const result = await db.run(
-      `INSERT INTO products (name, description, price, category, supplier_id, stock, hs_code, weight) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [name, description, price, category, supplier_id, stock, hs_code, weight]
-    );
+    const hsError = await checkHsCode(hs_code);
+    if (hsError) {
+      return res.status(400).json({ error: hsError });
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const inserted = await tx.run(
+        `INSERT INTO products (name, description, price, currency, category, supplier_id, stock, hs_code, weight) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, description, price, currency, category, supplier_id, stock, hs_code, weight]
+      );
+      await auditCreate(tx, { entity: 'product', table: 'products', id: inserted.id });
+      await publishProduct(tx, inserted.id);
+      return inserted;
+    });
 
     const newProduct = await db.query('SELECT * FROM products WHERE id = ?', [result.id]);
     
     res.status(201).json({
       message: 'Producto creado exitosamente',
-      product: newProduct[0]
+      product: { ...newProduct[0], hs_classification: await hsClassification(newProduct[0]) }
     });
   } catch (error) {
-    console.error('Error creando producto:', error);
+    logger.error('Error creando producto', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Carga masiva desde CSV/XLSX; crea o actualiza por proveedor + nombre
+app.post('/api/products/import', authenticateToken, receiveUpload, async (req, res) => {
+  try {
+    const { error, value } = bulkImportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const rows = await parseUpload(req.file);
+    const report = await importProducts(rows, productSchema, { dryRun: value.dry_run });
+    sendBulkImportReport(res, report);
+  } catch (error) {
+    if (error instanceof BulkImportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error en carga masiva de productos', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -132,17 +360,40 @@ app.put('/api/products/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { name, description, price, category, supplier_id, stock, hs_code, weight } = value;
+    const { name, description, price, currency, category, supplier_id, stock, hs_code, weight } = value;
 
-    await db.run(
-      `UPDATE products 
-       SET name = ?, description = ?, price = ?, category = ?, supplier_id = ?, 
-           stock = ?, hs_code = ?, weight = ?, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = ?`,
-      [name, description, price, category, supplier_id, stock, hs_code, weight, id]
-    );
+    const hsError = await checkHsCode(hs_code);
+    if (hsError) {
+      return res.status(400).json({ error: hsError });
+    }
+
+    await db.transaction(async (tx) => {
+      const previous = await tx.query('SELECT stock FROM products WHERE id = ? AND deleted_at IS NULL', [id]);
+
+      const updated = await auditUpdate(tx, { entity: 'product', table: 'products', id }, () => tx.run(
+        `UPDATE products 
+         SET name = ?, description = ?, price = ?, currency = ?, category = ?, supplier_id = ?, 
+             stock = ?, hs_code = ?, weight = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ? AND deleted_at IS NULL`,
+        [name, description, price, currency, category, supplier_id, stock, hs_code, weight, id]
+      ));
+      if (updated.changes > 0) {
+        await publishProduct(tx, id);
+      }
 
-    const updatedProduct = await db.query('SELECT * FROM products WHERE id = ?', [id]);
+      const previousStock = previous.length > 0 ? previous[0].stock || 0 : null;
+      if (previousStock !== null && previousStock !== stock) {
+        await recordEvent(tx, 'product.stock_changed', {
+          product_id: Number(id),
+          previous_stock: previousStock,
+          stock,
+          change: stock - previousStock,
+          reason: 'manual_update'
+        });
+      }
+    });
+
+    const updatedProduct = await db.query('SELECT * FROM products WHERE id = ? AND deleted_at IS NULL', [id]);
     
     if (updatedProduct.length === 0) {
       return res.status(404).json({ error: 'Producto no encontrado' });
@@ -150,10 +401,63 @@ app.put('/api/products/:id', authenticateToken, async (req, res) => {
 
     res.json({
       message: 'Producto actualizado exitosamente',
-      product: updatedProduct[0]
+      product: { ...updatedProduct[0], hs_classification: await hsClassification(updatedProduct[0]) }
+    });
+  } catch (error) {
+    logger.error('Error actualizando producto', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Borrado lógico: el producto deja de aparecer en los listados y no admite importaciones nuevas
+app.delete('/api/products/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await deleteProduct(id, req.user);
+    const deletedProduct = await db.query('SELECT * FROM products WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Producto eliminado exitosamente',
+      product: deletedProduct[0]
+    });
+  } catch (error) {
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error eliminando producto', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/products/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await restoreProduct(id);
+    const restoredProduct = await db.query('SELECT * FROM products WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Producto restaurado exitosamente',
+      product: restoredProduct[0]
     });
   } catch (error) {
-    console.error('Error actualizando producto:', error);
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error restaurando producto', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Borrado definitivo de un producto ya eliminado y sin historial de importaciones
+app.delete('/api/products/:id/purge', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    await purgeProduct(req.params.id);
+    res.json({ message: 'Producto purgado exitosamente' });
+  } catch (error) {
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error purgando producto', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -161,10 +465,196 @@ app.put('/api/products/:id', authenticateToken, async (req, res) => {
 // Rutas de proveedores
 app.get('/api/suppliers', authenticateToken, async (req, res) => {
   try {
-    const suppliers = await db.query('SELECT * FROM suppliers ORDER BY name');
-    res.json(suppliers);
+    const { error, value } = supplierListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { error: sortError, query } = searchListQuery(value, req.query);
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
+    const { search, country, currency, active, deleted } = value;
+    let select = 's.*';
+    let from = 'FROM suppliers s';
+    let where = `WHERE 1=1${deletedCondition('s.deleted_at', deleted)}`;
+    const params = [];
+
+    if (search) {
+      const match = ftsQuery(search);
+      if (!match) {
+        return res.status(400).json({ error: EMPTY_SEARCH_ERROR });
+      }
+      select += `, ${SUPPLIER_SEARCH.select}`;
+      from = 'FROM suppliers_fts JOIN suppliers s ON s.id = suppliers_fts.rowid';
+      where += ' AND suppliers_fts MATCH ?';
+      params.push(match);
+    }
+
+    if (country) {
+      where += ' AND s.country = ?';
+      params.push(country);
+    }
+
+    if (currency) {
+      where += ' AND s.currency = ?';
+      params.push(currency);
+    }
+
+    if (active !== undefined) {
+      where += ' AND s.is_active = ?';
+      params.push(active ? 1 : 0);
+    }
+
+    const page = await paginate({
+      select,
+      from,
+      where,
+      params,
+      sortColumns: SUPPLIER_SORT_COLUMNS,
+      idColumn: 's.id',
+      query
+    });
+
+    res.json(search ? { ...page, data: page.data.map(withSearchMatch) } : page);
   } catch (error) {
-    console.error('Error obteniendo proveedores:', error);
+    logger.error('Error obteniendo proveedores', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Scorecards de todos los proveedores, para compararlos (p. ej. al renovar cada trimestre)
+app.get('/api/suppliers/scorecards', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = scorecardListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    let query = 'SELECT id, name, country, is_active FROM suppliers WHERE deleted_at IS NULL';
+    const params = [];
+    if (value.active !== undefined) {
+      query += ' AND is_active = ?';
+      params.push(value.active ? 1 : 0);
+    }
+
+    const suppliers = await db.query(`${query} ORDER BY name`, params);
+    const period = scorecardPeriod(value);
+    const scorecards = await buildScorecards(period);
+
+    res.json({
+      period: { from_date: period.fromDate, to_date: period.toDate },
+      suppliers: suppliers.map(supplier => ({
+        supplier,
+        ...(scorecards.get(supplier.id) || emptyScorecard())
+      }))
+    });
+  } catch (error) {
+    logger.error('Error obteniendo scorecards de proveedores', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/api/suppliers/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const suppliers = await db.query(`
+      SELECT s.*, (SELECT COUNT(*) FROM products p WHERE p.supplier_id = s.id AND p.deleted_at IS NULL) as products_count
+      FROM suppliers s
+      WHERE s.id = ? AND s.deleted_at IS NULL
+    `, [id]);
+
+    if (suppliers.length === 0) {
+      return res.status(404).json({ error: 'Proveedor no encontrado' });
+    }
+
+    res.json(suppliers[0]);
+  } catch (error) {
+    logger.error('Error obteniendo proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/api/suppliers/:id/products', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = supplierProductListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const suppliers = await db.query('SELECT id FROM suppliers WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (suppliers.length === 0) {
+      return res.status(404).json({ error: 'Proveedor no encontrado' });
+    }
+
+    const { error: sortError, query } = searchListQuery(value, req.query);
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
+    const { category, search, deleted } = value;
+    let select = 'p.*';
+    let from = 'FROM products p';
+    let where = `WHERE p.supplier_id = ?${deletedCondition('p.deleted_at', deleted)}`;
+    const params = [id];
+
+    if (search) {
+      const match = ftsQuery(search);
+      if (!match) {
+        return res.status(400).json({ error: EMPTY_SEARCH_ERROR });
+      }
+      select += `, ${PRODUCT_SEARCH.select}`;
+      from = 'FROM products_fts JOIN products p ON p.id = products_fts.rowid';
+      where += ' AND products_fts MATCH ?';
+      params.push(match);
+    }
+
+    if (category) {
+      where += ' AND p.category = ?';
+      params.push(category);
+    }
+
+    const page = await paginate({
+      select,
+      from,
+      where,
+      params,
+      sortColumns: PRODUCT_SORT_COLUMNS,
+      idColumn: 'p.id',
+      query
+    });
+
+    res.json(search ? { ...page, data: page.data.map(withSearchMatch) } : page);
+  } catch (error) {
+    logger.error('Error obteniendo productos del proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/api/suppliers/:id/scorecard', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = scorecardQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const suppliers = await db.query('SELECT id, name, country, is_active FROM suppliers WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (suppliers.length === 0) {
+      return res.status(404).json({ error: 'Proveedor no encontrado' });
+    }
+
+    const period = scorecardPeriod(value);
+
+    res.json({
+      supplier: suppliers[0],
+      period: { from_date: period.fromDate, to_date: period.toDate },
+      ...(await buildScorecard(suppliers[0].id, period))
+    });
+  } catch (error) {
+    logger.error('Error obteniendo scorecard del proveedor', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -176,12 +666,17 @@ app.post('/api/suppliers', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { name, country, contact_email, phone, address } = value;
+    const { name, country, contact_email, phone, address, currency } = value;
 
-    const result = await db.run(
-      'INSERT INTO suppliers (name, country, contact_email, phone, address) VALUES (?, ?, ?, ?, ?)',
-      [name, country, contact_email, phone, address]
-    );
+    const result = await db.transaction(async (tx) => {
+      const inserted = await tx.run(
+        'INSERT INTO suppliers (name, country, contact_email, phone, address, currency) VALUES (?, ?, ?, ?, ?, ?)',
+        [name, country, contact_email, phone, address, currency]
+      );
+      await auditCreate(tx, { entity: 'supplier', table: 'suppliers', id: inserted.id });
+      await publishSupplier(tx, inserted.id);
+      return inserted;
+    });
 
     const newSupplier = await db.query('SELECT * FROM suppliers WHERE id = ?', [result.id]);
     
@@ -190,7 +685,324 @@ app.post('/api/suppliers', authenticateToken, async (req, res) => {
       supplier: newSupplier[0]
     });
   } catch (error) {
-    console.error('Error creando proveedor:', error);
+    logger.error('Error creando proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Carga masiva desde CSV/XLSX; crea o actualiza por nombre
+app.post('/api/suppliers/import', authenticateToken, receiveUpload, async (req, res) => {
+  try {
+    const { error, value } = bulkImportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const rows = await parseUpload(req.file);
+    const report = await importSuppliers(rows, supplierSchema, { dryRun: value.dry_run });
+    sendBulkImportReport(res, report);
+  } catch (error) {
+    if (error instanceof BulkImportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error en carga masiva de proveedores', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/suppliers/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = supplierSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { name, country, contact_email, phone, address, currency } = value;
+
+    const result = await db.transaction(async (tx) => {
+      const updated = await auditUpdate(tx, { entity: 'supplier', table: 'suppliers', id }, () => tx.run(
+        `UPDATE suppliers
+         SET name = ?, country = ?, contact_email = ?, phone = ?, address = ?, currency = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL`,
+        [name, country, contact_email, phone, address, currency, id]
+      ));
+      if (updated.changes > 0) {
+        await publishSupplier(tx, id);
+      }
+      return updated;
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Proveedor no encontrado' });
+    }
+
+    const updatedSupplier = await db.query('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Proveedor actualizado exitosamente',
+      supplier: updatedSupplier[0]
+    });
+  } catch (error) {
+    logger.error('Error actualizando proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Un proveedor desactivado conserva sus productos e historial, pero no admite importaciones nuevas
+app.put('/api/suppliers/:id/deactivate', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.transaction(async (tx) => {
+      const updated = await auditUpdate(tx, { entity: 'supplier', table: 'suppliers', id, action: 'deactivate' }, () => tx.run(
+        `UPDATE suppliers SET is_active = 0, deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL`,
+        [id]
+      ));
+      if (updated.changes > 0) {
+        await publishSupplier(tx, id);
+      }
+      return updated;
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Proveedor no encontrado' });
+    }
+
+    const updatedSupplier = await db.query('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Proveedor desactivado exitosamente',
+      supplier: updatedSupplier[0]
+    });
+  } catch (error) {
+    logger.error('Error desactivando proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/suppliers/:id/reactivate', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.transaction(async (tx) => {
+      const updated = await auditUpdate(tx, { entity: 'supplier', table: 'suppliers', id, action: 'reactivate' }, () => tx.run(
+        `UPDATE suppliers SET is_active = 1, deactivated_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL`,
+        [id]
+      ));
+      if (updated.changes > 0) {
+        await publishSupplier(tx, id);
+      }
+      return updated;
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Proveedor no encontrado' });
+    }
+
+    const updatedSupplier = await db.query('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Proveedor reactivado exitosamente',
+      supplier: updatedSupplier[0]
+    });
+  } catch (error) {
+    logger.error('Error reactivando proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Borrado lógico del proveedor junto con sus productos; a diferencia de desactivarlo,
+// deja de aparecer en los listados
+app.delete('/api/suppliers/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const productsDeleted = await deleteSupplier(id, req.user);
+    const deletedSupplier = await db.query('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Proveedor eliminado exitosamente',
+      supplier: deletedSupplier[0],
+      products_deleted: productsDeleted
+    });
+  } catch (error) {
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error eliminando proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Restaura el proveedor y los productos que se eliminaron con él
+app.post('/api/suppliers/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const productsRestored = await restoreSupplier(id);
+    const restoredSupplier = await db.query('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    res.json({
+      message: 'Proveedor restaurado exitosamente',
+      supplier: restoredSupplier[0],
+      products_restored: productsRestored
+    });
+  } catch (error) {
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error restaurando proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Borrado definitivo de un proveedor ya eliminado y de sus productos
+app.delete('/api/suppliers/:id/purge', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const productsPurged = await purgeSupplier(req.params.id);
+    res.json({ message: 'Proveedor purgado exitosamente', products_purged: productsPurged });
+  } catch (error) {
+    if (error instanceof DeletionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error purgando proveedor', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Catálogo de códigos HS
+app.get('/api/hs-codes', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = hsCodeListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { search, parent, level, restriction } = value;
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (search) {
+      const digits = search.replace(/[\s.-]/g, '');
+      if (/^\d+$/.test(digits)) {
+        where += ' AND code LIKE ?';
+        params.push(`${digits}%`);
+      } else {
+        where += ' AND description LIKE ?';
+        params.push(`%${search}%`);
+      }
+    }
+
+    if (parent) {
+      where += ' AND parent_code = ?';
+      params.push(parent);
+    }
+
+    if (level) {
+      where += level === 'national' ? ' AND LENGTH(code) > ?' : ' AND LENGTH(code) = ?';
+      params.push(level === 'national' ? HS_LEVELS.subheading : HS_LEVELS[level]);
+    }
+
+    if (restriction) {
+      where += ' AND restriction = ?';
+      params.push(restriction);
+    }
+
+    const page = await paginate({
+      select: '*',
+      from: 'FROM hs_codes',
+      where,
+      params,
+      sortColumns: HS_CODE_SORT_COLUMNS,
+      idColumn: 'id',
+      query: value
+    });
+
+    res.json({ ...page, data: page.data.map(presentHsCode) });
+  } catch (error) {
+    logger.error('Error obteniendo códigos HS', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Carga o actualiza el catálogo desde el archivo de arancel (CSV/XLSX), por código
+app.post('/api/hs-codes/import', authenticateToken, authorize(['admin']), receiveUpload, async (req, res) => {
+  try {
+    const { error, value } = bulkImportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const rows = await parseUpload(req.file, { maxRows: HS_CODE_MAX_ROWS });
+    const report = await importHsCodes(rows, hsCodeImportSchema, { dryRun: value.dry_run });
+    sendBulkImportReport(res, report);
+  } catch (error) {
+    if (error instanceof BulkImportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error en carga del catálogo HS', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Código con sus ancestros, sus subdivisiones y la tasa, restricción y permisos que se aplican
+app.get('/api/hs-codes/:code', authenticateToken, async (req, res) => {
+  try {
+    const { error, value: code } = hsCode().label('code').validate(req.params.code);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const entry = await findHsCode(code);
+    if (!entry) {
+      return res.status(404).json({ error: 'Código HS no encontrado' });
+    }
+
+    res.json({ ...entry, children: await findHsChildren(code) });
+  } catch (error) {
+    logger.error('Error obteniendo código HS', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/hs-codes/:code', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error: codeError, value: code } = hsCode().label('code').validate(req.params.code);
+    if (codeError) {
+      return res.status(400).json({ error: codeError.details[0].message });
+    }
+
+    const { error, value } = hsCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const [existing] = await db.query('SELECT id FROM hs_codes WHERE code = ?', [code]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Código HS no encontrado' });
+    }
+
+    await db.transaction(async (tx) => {
+      await auditUpdate(tx, { entity: 'hs_code', table: 'hs_codes', id: existing.id }, () => tx.run(
+        `UPDATE hs_codes
+         SET description = ?, duty_rate = ?, vat_rate = ?, restriction = ?, required_permits = ?, notes = ?,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          value.description, value.duty_rate ?? null, value.vat_rate ?? null, value.restriction ?? null,
+          JSON.stringify(value.required_permits || []), value.notes ?? null, existing.id
+        ]
+      ));
+      await publishProductsUnderHsCodes(tx, [code]);
+    });
+
+    res.json({
+      message: 'Código HS actualizado exitosamente',
+      hs_code: await findHsCode(code)
+    });
+  } catch (error) {
+    logger.error('Error actualizando código HS', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -203,6 +1015,97 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Documentación OpenAPI (GET /openapi.json)
+serveOpenApi(app, {
+  title: 'Products Service',
+  schemas: { ProductInput: productSchema, SupplierInput: supplierSchema, HsCodeInput: hsCodeSchema, HsCodeImport: hsCodeImportSchema },
+  routes: {
+    'GET /api/products': { summary: 'Listar productos', query: productListSchema, response: 'Página de productos' },
+    'GET /api/products/:id': { summary: 'Obtener un producto' },
+    'POST /api/products': { summary: 'Crear producto', body: productSchema, response: 'Producto creado' },
+    'PUT /api/products/:id': { summary: 'Actualizar producto', body: productSchema },
+    'DELETE /api/products/:id': {
+      summary: 'Eliminar producto (borrado lógico)',
+      errors: { 409: 'El producto está en una importación abierta' }
+    },
+    'POST /api/products/:id/restore': {
+      summary: 'Restaurar producto eliminado',
+      errors: { 409: 'El proveedor del producto está eliminado' }
+    },
+    'DELETE /api/products/:id/purge': {
+      summary: 'Purgar producto eliminado (solo admin)',
+      errors: { 409: 'El producto no está eliminado o figura en importaciones' }
+    },
+    'POST /api/products/import': {
+      summary: 'Carga masiva de productos (CSV o XLSX)',
+      upload: 'Columnas de ProductInput; el proveedor puede indicarse con supplier_name',
+      query: bulkImportQuerySchema,
+      status: 200,
+      response: 'Reporte por fila'
+    },
+    'GET /api/suppliers': { summary: 'Listar proveedores', query: supplierListSchema, response: 'Página de proveedores' },
+    'GET /api/suppliers/scorecards': {
+      summary: 'Scorecards de todos los proveedores',
+      query: scorecardListSchema,
+      response: 'Período y scorecard por proveedor'
+    },
+    'GET /api/suppliers/:id': { summary: 'Obtener un proveedor' },
+    'GET /api/suppliers/:id/products': {
+      summary: 'Listar productos del proveedor',
+      query: supplierProductListSchema,
+      response: 'Página de productos'
+    },
+    'GET /api/suppliers/:id/scorecard': {
+      summary: 'Scorecard del proveedor: volumen, puntualidad, tiempos de entrega, cancelaciones y diferencias',
+      query: scorecardQuerySchema
+    },
+    'POST /api/suppliers': { summary: 'Crear proveedor', body: supplierSchema, response: 'Proveedor creado' },
+    'POST /api/suppliers/import': {
+      summary: 'Carga masiva de proveedores (CSV o XLSX)',
+      upload: 'Columnas de SupplierInput',
+      query: bulkImportQuerySchema,
+      status: 200,
+      response: 'Reporte por fila'
+    },
+    'PUT /api/suppliers/:id': { summary: 'Actualizar proveedor', body: supplierSchema },
+    'PUT /api/suppliers/:id/deactivate': { summary: 'Desactivar proveedor (no admite importaciones nuevas)' },
+    'PUT /api/suppliers/:id/reactivate': { summary: 'Reactivar proveedor' },
+    'DELETE /api/suppliers/:id': {
+      summary: 'Eliminar proveedor y sus productos (borrado lógico)',
+      errors: { 409: 'El proveedor tiene importaciones activas' }
+    },
+    'POST /api/suppliers/:id/restore': { summary: 'Restaurar proveedor eliminado y sus productos' },
+    'DELETE /api/suppliers/:id/purge': {
+      summary: 'Purgar proveedor eliminado y sus productos (solo admin)',
+      errors: { 409: 'El proveedor no está eliminado o tiene importaciones o reglas de aprobación' }
+    },
+    'GET /api/hs-codes': {
+      summary: 'Buscar en el catálogo de códigos HS',
+      query: hsCodeListSchema,
+      response: 'Página de códigos HS'
+    },
+    'POST /api/hs-codes/import': {
+      summary: 'Cargar el catálogo HS desde el archivo de arancel (CSV o XLSX)',
+      upload: 'Columnas de HsCodeImport; required_permits separados por ";"',
+      query: bulkImportQuerySchema,
+      status: 200,
+      response: 'Reporte por fila'
+    },
+    'GET /api/hs-codes/:code': {
+      summary: 'Código HS con su jerarquía, subdivisiones, tasas, restricciones y permisos',
+      tag: 'hs-codes'
+    },
+    'PUT /api/hs-codes/:code': {
+      summary: 'Actualizar descripción, tasas, restricción y permisos de un código HS',
+      body: hsCodeSchema
+    }
+  }
+});
+
+// Manejo global de errores
+app.use(errorHandler);
+
 app.listen(PORT, () => {
-  console.log(`📦 Products Service corriendo en puerto ${PORT}`);
+  logger.info(`📦 Products Service corriendo en puerto ${PORT}`);
+  new EventBus().subscribe('products.stock', ['goods_receipt.recorded'], applyGoodsReceipt).start();
 });
\ No newline at end of file
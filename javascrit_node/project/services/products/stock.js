@@ -0,0 +1,33 @@
+import { auditUpdate } from '../../config/audit.js';
+import { recordEvent } from '../../config/outbox.js';
+
+// Stock de productos a partir de eventos de otros servicios
+
+// Consumidor de goods_receipt.recorded: solo la mercancía en buen estado entra al inventario
+export const applyGoodsReceipt = async (tx, event) => {
+  for (const line of event.data.lines) {
+    if (line.received_quantity <= 0) {
+      continue;
+    }
+
+    const products = await tx.query('SELECT stock FROM products WHERE id = ?', [line.product_id]);
+    if (products.length === 0) {
+      throw new Error(`Producto ${line.product_id} no encontrado`);
+    }
+
+    const previousStock = products[0].stock || 0;
+    await auditUpdate(tx, { entity: 'product', table: 'products', id: line.product_id }, () => tx.run(
+      'UPDATE products SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [previousStock + line.received_quantity, line.product_id]
+    ));
+
+    await recordEvent(tx, 'product.stock_changed', {
+      product_id: line.product_id,
+      previous_stock: previousStock,
+      stock: previousStock + line.received_quantity,
+      change: line.received_quantity,
+      reason: 'goods_receipt',
+      import_id: event.data.import_id
+    });
+  }
+};
@@ -0,0 +1,9 @@
+import { recordEvent } from '../../config/outbox.js';
+
+// Evento con los datos de un usuario que usan otros servicios: el de importaciones
+// guarda una copia (nombre para listados, nivel de aprobación) en lugar de leer users.
+// Se publica con el `tx` del cambio, al crear el usuario y al cambiar su nivel.
+export const publishUser = async (tx, id) => {
+  const [user] = await tx.query('SELECT id, username, approval_level FROM users WHERE id = ?', [id]);
+  await recordEvent(tx, 'user.changed', { user_id: Number(id), user: user || null });
+};
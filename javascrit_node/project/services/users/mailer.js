@@ -0,0 +1,12 @@
+import db from '../../config/database.js';
+import logger from '../../config/logger.js';
+
+// No hay servidor de correo configurado: los mensajes quedan en la tabla mail_outbox
+// para que un proceso externo los envíe (o para consultarlos en desarrollo)
+export const queueEmail = async ({ to, subject, body }) => {
+  await db.run(
+    'INSERT INTO mail_outbox (recipient, subject, body) VALUES (?, ?, ?)',
+    [to, subject, body]
+  );
+  logger.info('✉️  Correo en bandeja de salida', { to, subject });
+};
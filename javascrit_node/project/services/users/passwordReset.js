@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import db from '../../config/database.js';
+import { queueEmail } from './mailer.js';
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES || '60', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Genera un token de un solo uso y lo deja en la bandeja de salida del usuario.
+// Los tokens anteriores que no se usaron quedan invalidados.
+export const requestPasswordReset = async (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.transaction(async (tx) => {
+    await tx.run(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+    await tx.run(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES (?, ?, datetime('now', ?))`,
+      [user.id, hashToken(token), `+${RESET_TOKEN_TTL_MINUTES} minutes`]
+    );
+  });
+
+  await queueEmail({
+    to: user.email,
+    subject: 'Recuperación de contraseña',
+    body: `Usa este código para restablecer tu contraseña: ${token}\n` +
+      `El código vence en ${RESET_TOKEN_TTL_MINUTES} minutos y solo puede usarse una vez.`
+  });
+};
+
+// Marca el token como usado dentro de `tx` y devuelve el usuario al que pertenece, o null
+// si no es válido. Se consume en la misma transacción que cambia la contraseña para que
+// un error al guardarla no gaste el token.
+export const consumeResetToken = async (tx, token) => {
+  const rows = await tx.query(`
+    SELECT id, user_id FROM password_reset_tokens
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+  `, [hashToken(token)]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const result = await tx.run(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+    [rows[0].id]
+  );
+
+  return result.changes === 0 ? null : rows[0].user_id;
+};
@@ -1,11 +1,21 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import Joi from 'joi';
 import db from '../../config/database.js';
+import logger from '../../config/logger.js';
+import { ensureMigrated } from '../../config/migrations.js';
+import { auditCreate, auditUpdate } from '../../config/audit.js';
+import { serveOpenApi } from '../../config/openapi.js';
+import { listOf, listQuerySchema, paginate } from '../../config/pagination.js';
+import { requestContext, errorHandler } from '../../middleware/requestContext.js';
+import { authenticateToken, authorize } from '../../middleware/auth.js';
+import { TokenError, issueTokens, revokeAllSessions, revokeSession, rotateRefreshToken } from './tokens.js';
+import { consumeResetToken, requestPasswordReset } from './passwordReset.js';
+import { publishUser } from './events.js';
+
+logger.setService('users');
 
 const app = express();
 const PORT = process.env.USERS_SERVICE_PORT || 3003;
@@ -13,15 +23,14 @@ const PORT = process.env.USERS_SERVICE_PORT || 3003;
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
+app.use(requestContext());
 app.use(express.json({ limit: '10mb' }));
 
 // Esquemas de validación
 const registerSchema = Joi.object({
   username: Joi.string().alphanum().min(3).max(30).required(),
   email: Joi.string().email().required(),
-  password: Joi.string().min(6).required(),
-  role: Joi.string().valid('admin', 'user').default('user')
+  password: Joi.string().min(6).required()
 });
 
 const loginSchema = Joi.object({
@@ -29,8 +38,85 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const refreshSchema = Joi.object({
+  refresh_token: Joi.string().required()
+});
+
+const logoutSchema = Joi.object({
+  all: Joi.boolean().default(false)
+});
+
+const changePasswordSchema = Joi.object({
+  current_password: Joi.string().required(),
+  new_password: Joi.string().min(6).required()
+});
+
+const changeEmailSchema = Joi.object({
+  email: Joi.string().email().required(),
+  current_password: Joi.string().required()
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid('admin', 'user').required()
+});
+
+// null quita los permisos de aprobación
+const approvalLevelSchema = Joi.object({
+  approval_level: Joi.number().integer().min(1).allow(null).required()
+    .description('Nivel máximo de aprobación de importaciones que puede dar el usuario')
+});
+
+const resetRequestSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetConfirmSchema = Joi.object({
+  token: Joi.string().required(),
+  new_password: Joi.string().min(6).required()
+});
+
+const USER_SORT_COLUMNS = {
+  username: 'username',
+  email: 'email',
+  role: 'role',
+  created_at: 'created_at'
+};
+
+const userListSchema = listQuerySchema({
+  filters: {
+    search: Joi.string().description('Busca en username y email'),
+    role: Joi.string().valid('admin', 'user'),
+    active: Joi.boolean()
+  },
+  sortColumns: USER_SORT_COLUMNS,
+  defaultSort: 'username'
+});
+
+const USER_FIELDS = 'id, username, email, role, approval_level, is_active, deactivated_at, created_at, updated_at';
+
+const AUDIT_SORT_COLUMNS = {
+  created_at: 'a.created_at'
+};
+
+const auditListSchema = listQuerySchema({
+  filters: {
+    entity_type: Joi.string().description('Tipo de entidad (product, supplier, import, user, ...)'),
+    entity_id: Joi.string(),
+    actor_id: Joi.number().integer(),
+    action: listOf(Joi.string()).description('Acciones separadas por coma (create, update, delete, ...)'),
+    service: Joi.string().valid('users', 'products', 'imports'),
+    request_id: Joi.string(),
+    from_date: Joi.date().description('Fecha del cambio desde (inclusive)'),
+    to_date: Joi.date().min(Joi.ref('from_date')).description('Fecha del cambio hasta (inclusive)')
+  },
+  sortColumns: AUDIT_SORT_COLUMNS,
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+});
+
 // Conectar a la base de datos
 await db.connect();
+await ensureMigrated();
 
 // Rutas del microservicio de usuarios
 app.post('/api/users/register', async (req, res) => {
@@ -40,7 +126,9 @@ app.post('/api/users/register', async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { username, email, password, role } = value;
+    const { username, email, password } = value;
+    // El registro público siempre crea usuarios normales; los admins se asignan con PUT /api/users/:id/role
+    const role = 'user';
 
     // Verificar si el usuario ya existe
     const existingUser = await db.query(
@@ -56,17 +144,22 @@ app.post('/api/users/register', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Crear usuario
-    const result = await db.run(
-      'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)',
-      [username, email, hashedPassword, role]
-    );
+    const result = await db.transaction(async (tx) => {
+      const inserted = await tx.run(
+        'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)',
+        [username, email, hashedPassword, role]
+      );
+      await auditCreate(tx, { entity: 'user', table: 'users', id: inserted.id, actorId: inserted.id });
+      await publishUser(tx, inserted.id);
+      return inserted;
+    });
 
     res.status(201).json({
       message: 'Usuario creado exitosamente',
       user: { id: result.id, username, email, role }
     });
   } catch (error) {
-    console.error('Error registrando usuario:', error);
+    logger.error('Error registrando usuario', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -94,27 +187,81 @@ app.post('/api/users/login', async (req, res) => {
       return res.status(401).json({ error: 'Credenciales inválidas' });
     }
 
-    // Generar token JWT
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (!user.is_active) {
+      return res.status(403).json({ error: 'Usuario desactivado' });
+    }
+
+    // Abrir sesión: access token de corta duración + refresh token rotativo
+    const tokens = await issueTokens(user, { userAgent: req.get('user-agent'), ipAddress: req.ip });
 
     res.json({
       message: 'Login exitoso',
-      token,
+      ...tokens,
       user: { id: user.id, username: user.username, email: user.email, role: user.role }
     });
   } catch (error) {
-    console.error('Error en login:', error);
+    logger.error('Error en login', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-app.get('/api/users/profile/:id', async (req, res) => {
+app.post('/api/users/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const tokens = await rotateRefreshToken(value.refresh_token);
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error renovando token', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/users/logout', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = logoutSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (value.all) {
+      const result = await revokeAllSessions(req.user.id, 'logout_all');
+      return res.json({ message: 'Sesiones cerradas exitosamente', sessions_revoked: result.changes });
+    }
+
+    await revokeSession(req.sessionId, 'logout');
+    res.json({ message: 'Sesión cerrada exitosamente', sessions_revoked: 1 });
+  } catch (error) {
+    logger.error('Error cerrando sesión', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/api/users/me', authenticateToken, async (req, res) => {
+  try {
+    const users = await db.query(`SELECT ${USER_FIELDS} FROM users WHERE id = ?`, [req.user.id]);
+    res.json(users[0]);
+  } catch (error) {
+    logger.error('Error obteniendo perfil', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/api/users/profile/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
+
+    // Solo el propio usuario o un admin pueden ver un perfil
+    if (req.user.role !== 'admin' && String(req.user.id) !== String(id)) {
+      return res.status(403).json({ error: 'Permisos insuficientes' });
+    }
+
     const users = await db.query(
       'SELECT id, username, email, role, created_at FROM users WHERE id = ?', 
       [id]
@@ -126,7 +273,371 @@ app.get('/api/users/profile/:id', async (req, res) => {
 
     res.json(users[0]);
   } catch (error) {
-    console.error('Error obteniendo perfil:', error);
+    logger.error('Error obteniendo perfil', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Cuenta propia
+app.put('/api/users/me/password', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const users = await db.query('SELECT password FROM users WHERE id = ?', [req.user.id]);
+    const validPassword = await bcrypt.compare(value.current_password, users[0].password);
+    if (!validPassword) {
+      return res.status(400).json({ error: 'La contraseña actual no es correcta' });
+    }
+
+    const hashedPassword = await bcrypt.hash(value.new_password, 10);
+    await db.transaction(async (tx) => {
+      await auditUpdate(tx, { entity: 'user', table: 'users', id: req.user.id }, () => tx.run(
+        'UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [hashedPassword, req.user.id]
+      ));
+    });
+
+    // Cerrar las demás sesiones por si la contraseña anterior estaba comprometida
+    await revokeAllSessions(req.user.id, 'password_changed', req.sessionId);
+
+    res.json({ message: 'Contraseña actualizada exitosamente' });
+  } catch (error) {
+    logger.error('Error cambiando contraseña', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/users/me/email', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = changeEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const users = await db.query('SELECT password FROM users WHERE id = ?', [req.user.id]);
+    const validPassword = await bcrypt.compare(value.current_password, users[0].password);
+    if (!validPassword) {
+      return res.status(400).json({ error: 'La contraseña actual no es correcta' });
+    }
+
+    const existingUser = await db.query('SELECT id FROM users WHERE email = ? AND id != ?', [value.email, req.user.id]);
+    if (existingUser.length > 0) {
+      return res.status(409).json({ error: 'El email ya está en uso' });
+    }
+
+    await db.transaction(async (tx) => {
+      await auditUpdate(tx, { entity: 'user', table: 'users', id: req.user.id }, () => tx.run(
+        'UPDATE users SET email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [value.email, req.user.id]
+      ));
+    });
+
+    const updatedUser = await db.query(`SELECT ${USER_FIELDS} FROM users WHERE id = ?`, [req.user.id]);
+
+    res.json({
+      message: 'Email actualizado exitosamente',
+      user: updatedUser[0]
+    });
+  } catch (error) {
+    logger.error('Error cambiando email', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Recuperación de contraseña
+app.post('/api/users/password-reset/request', async (req, res) => {
+  try {
+    const { error, value } = resetRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const users = await db.query('SELECT id, email FROM users WHERE email = ? AND is_active = 1', [value.email]);
+    if (users.length > 0) {
+      await requestPasswordReset(users[0]);
+    }
+
+    // La respuesta es la misma exista o no el email, para no revelar qué cuentas existen
+    res.status(202).json({ message: 'Si el email está registrado, recibirás instrucciones para restablecer la contraseña' });
+  } catch (error) {
+    logger.error('Error solicitando recuperación de contraseña', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.post('/api/users/password-reset/confirm', async (req, res) => {
+  try {
+    const { error, value } = resetConfirmSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // El hash se calcula antes para no tener la transacción abierta mientras tanto
+    const hashedPassword = await bcrypt.hash(value.new_password, 10);
+    const userId = await db.transaction(async (tx) => {
+      const resetUserId = await consumeResetToken(tx, value.token);
+      if (!resetUserId) {
+        return null;
+      }
+      await auditUpdate(tx, { entity: 'user', table: 'users', id: resetUserId, actorId: resetUserId }, () => tx.run(
+        'UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [hashedPassword, resetUserId]
+      ));
+      return resetUserId;
+    });
+    if (!userId) {
+      return res.status(400).json({ error: 'Token de recuperación inválido o expirado' });
+    }
+    await revokeAllSessions(userId, 'password_reset');
+
+    res.json({ message: 'Contraseña restablecida exitosamente' });
+  } catch (error) {
+    logger.error('Error restableciendo contraseña', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Administración de usuarios
+app.get('/api/users', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error, value } = userListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { search, role, active } = value;
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (search) {
+      where += ' AND (username LIKE ? OR email LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (role) {
+      where += ' AND role = ?';
+      params.push(role);
+    }
+
+    if (active !== undefined) {
+      where += ' AND is_active = ?';
+      params.push(active ? 1 : 0);
+    }
+
+    const page = await paginate({
+      select: USER_FIELDS,
+      from: 'FROM users',
+      where,
+      params,
+      sortColumns: USER_SORT_COLUMNS,
+      idColumn: 'id',
+      query: value
+    });
+
+    res.json(page);
+  } catch (error) {
+    logger.error('Error obteniendo usuarios', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/users/:id/role', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = roleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Evita que el último admin se quite sus propios permisos por error
+    if (String(req.user.id) === String(id)) {
+      return res.status(409).json({ error: 'No puedes cambiar tu propio rol' });
+    }
+
+    const result = await db.transaction(tx => auditUpdate(tx, { entity: 'user', table: 'users', id }, () => tx.run(
+      'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [value.role, id]
+    )));
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const updatedUser = await db.query(`SELECT ${USER_FIELDS} FROM users WHERE id = ?`, [id]);
+
+    res.json({
+      message: 'Rol actualizado exitosamente',
+      user: updatedUser[0]
+    });
+  } catch (error) {
+    logger.error('Error actualizando rol', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Designa aprobadores de importaciones: quien tiene nivel N puede aprobar los niveles 1 a N
+app.put('/api/users/:id/approval-level', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = approvalLevelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const updated = await auditUpdate(tx, { entity: 'user', table: 'users', id }, () => tx.run(
+        'UPDATE users SET approval_level = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [value.approval_level, id]
+      ));
+      if (updated.changes > 0) {
+        await publishUser(tx, id);
+      }
+      return updated;
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const updatedUser = await db.query(`SELECT ${USER_FIELDS} FROM users WHERE id = ?`, [id]);
+
+    res.json({
+      message: 'Nivel de aprobación actualizado exitosamente',
+      user: updatedUser[0]
+    });
+  } catch (error) {
+    logger.error('Error actualizando nivel de aprobación', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/users/:id/deactivate', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (String(req.user.id) === String(id)) {
+      return res.status(409).json({ error: 'No puedes desactivar tu propia cuenta' });
+    }
+
+    const result = await db.transaction(tx => auditUpdate(tx, { entity: 'user', table: 'users', id, action: 'deactivate' }, () => tx.run(
+      `UPDATE users SET is_active = 0, deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    )));
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    await revokeAllSessions(id, 'deactivated');
+
+    const updatedUser = await db.query(`SELECT ${USER_FIELDS} FROM users WHERE id = ?`, [id]);
+
+    res.json({
+      message: 'Usuario desactivado exitosamente',
+      user: updatedUser[0]
+    });
+  } catch (error) {
+    logger.error('Error desactivando usuario', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.put('/api/users/:id/reactivate', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.transaction(tx => auditUpdate(tx, { entity: 'user', table: 'users', id, action: 'reactivate' }, () => tx.run(
+      `UPDATE users SET is_active = 1, deactivated_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    )));
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const updatedUser = await db.query(`SELECT ${USER_FIELDS} FROM users WHERE id = ?`, [id]);
+
+    res.json({
+      message: 'Usuario reactivado exitosamente',
+      user: updatedUser[0]
+    });
+  } catch (error) {
+    logger.error('Error reactivando usuario', { error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Registro de auditoría de todos los servicios (solo lectura; la tabla no admite cambios)
+app.get('/api/audit', authenticateToken, authorize(['admin']), async (req, res) => {
+  try {
+    const { error, value } = auditListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { entity_type, entity_id, actor_id, action, service, request_id, from_date, to_date } = value;
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (entity_type) {
+      where += ' AND a.entity_type = ?';
+      params.push(entity_type);
+    }
+
+    if (entity_id) {
+      where += ' AND a.entity_id = ?';
+      params.push(entity_id);
+    }
+
+    if (actor_id) {
+      where += ' AND a.actor_id = ?';
+      params.push(actor_id);
+    }
+
+    if (action) {
+      where += ` AND a.action IN (${action.map(() => '?').join(', ')})`;
+      params.push(...action);
+    }
+
+    if (service) {
+      where += ' AND a.service = ?';
+      params.push(service);
+    }
+
+    if (request_id) {
+      where += ' AND a.request_id = ?';
+      params.push(request_id);
+    }
+
+    if (from_date) {
+      where += ' AND date(a.created_at) >= ?';
+      params.push(from_date.toISOString().slice(0, 10));
+    }
+
+    if (to_date) {
+      where += ' AND date(a.created_at) <= ?';
+      params.push(to_date.toISOString().slice(0, 10));
+    }
+
+    const page = await paginate({
+      select: `a.id, a.created_at, a.service, a.actor_id, u.username as actor_username, a.action,
+               a.entity_type, a.entity_id, a.changes, a.request_id`,
+      from: 'FROM audit_log a LEFT JOIN users u ON a.actor_id = u.id',
+      where,
+      params,
+      sortColumns: AUDIT_SORT_COLUMNS,
+      idColumn: 'a.id',
+      query: value
+    });
+
+    res.json({ ...page, data: page.data.map(entry => ({ ...entry, changes: JSON.parse(entry.changes) })) });
+  } catch (error) {
+    logger.error('Error obteniendo registro de auditoría', { error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -139,6 +650,84 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Documentación OpenAPI (GET /openapi.json)
+serveOpenApi(app, {
+  title: 'Users Service',
+  schemas: {
+    RegisterInput: registerSchema,
+    LoginInput: loginSchema,
+    RefreshInput: refreshSchema,
+    LogoutInput: logoutSchema,
+    ChangePasswordInput: changePasswordSchema,
+    ChangeEmailInput: changeEmailSchema,
+    RoleInput: roleSchema,
+    ApprovalLevelInput: approvalLevelSchema,
+    PasswordResetRequestInput: resetRequestSchema,
+    PasswordResetConfirmInput: resetConfirmSchema
+  },
+  routes: {
+    'POST /api/users/register': {
+      summary: 'Registrar usuario',
+      tag: 'auth',
+      body: registerSchema,
+      response: 'Usuario creado',
+      errors: { 409: 'Usuario o email ya existe' }
+    },
+    'POST /api/users/login': {
+      summary: 'Iniciar sesión',
+      tag: 'auth',
+      body: loginSchema,
+      status: 200,
+      response: 'Access token y refresh token',
+      errors: { 401: 'Credenciales inválidas', 403: 'Usuario desactivado' }
+    },
+    'POST /api/users/refresh': {
+      summary: 'Renovar el access token',
+      tag: 'auth',
+      body: refreshSchema,
+      status: 200,
+      response: 'Nuevo par de tokens',
+      errors: { 401: 'Refresh token inválido, expirado o reutilizado' }
+    },
+    'POST /api/users/logout': { summary: 'Cerrar sesión', tag: 'auth', body: logoutSchema, status: 200 },
+    'GET /api/users/me': { summary: 'Usuario autenticado', tag: 'account' },
+    'GET /api/users/profile/:id': { summary: 'Perfil de un usuario (propio o como admin)', tag: 'account' },
+    'PUT /api/users/me/password': { summary: 'Cambiar contraseña', tag: 'account', body: changePasswordSchema },
+    'PUT /api/users/me/email': {
+      summary: 'Cambiar email',
+      tag: 'account',
+      body: changeEmailSchema,
+      errors: { 409: 'El email ya está en uso' }
+    },
+    'POST /api/users/password-reset/request': {
+      summary: 'Solicitar recuperación de contraseña',
+      tag: 'auth',
+      body: resetRequestSchema,
+      status: 202,
+      response: 'Solicitud aceptada (siempre, exista o no el email)'
+    },
+    'POST /api/users/password-reset/confirm': {
+      summary: 'Restablecer contraseña con el código recibido',
+      tag: 'auth',
+      body: resetConfirmSchema,
+      status: 200
+    },
+    'GET /api/users': { summary: 'Listar usuarios', query: userListSchema, response: 'Página de usuarios' },
+    'PUT /api/users/:id/role': { summary: 'Cambiar rol', body: roleSchema, errors: { 409: 'No puedes cambiar tu propio rol' } },
+    'PUT /api/users/:id/approval-level': { summary: 'Asignar o quitar nivel de aprobación de importaciones', body: approvalLevelSchema },
+    'PUT /api/users/:id/deactivate': { summary: 'Desactivar usuario', errors: { 409: 'No puedes desactivar tu propia cuenta' } },
+    'PUT /api/users/:id/reactivate': { summary: 'Reactivar usuario' },
+    'GET /api/audit': {
+      summary: 'Registro de auditoría de todos los servicios',
+      query: auditListSchema,
+      response: 'Página de cambios con el diff { campo: { from, to } } de cada uno'
+    }
+  }
+});
+
+// Manejo global de errores
+app.use(errorHandler);
+
 app.listen(PORT, () => {
-  console.log(`🔐 Users Service corriendo en puerto ${PORT}`);
+  logger.info(`🔐 Users Service corriendo en puerto ${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../../config/database.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Error de autenticación con el código HTTP que debe devolver la ruta
+export class TokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Solo se guarda el hash del refresh token: una copia de la base no permite usarlos
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => {
+  const token = jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expires_in: exp - iat };
+};
+
+const createRefreshToken = async (tx, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await tx.run(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (?, ?, datetime('now', ?))`,
+    [sessionId, hashToken(refreshToken), `+${REFRESH_TOKEN_TTL_DAYS} days`]
+  );
+  return refreshToken;
+};
+
+// Abre una sesión nueva y emite su primer par de tokens
+export const issueTokens = (user, { userAgent, ipAddress } = {}) => {
+  return db.transaction(async (tx) => {
+    const sessionId = crypto.randomUUID();
+    await tx.run(
+      'INSERT INTO user_sessions (id, user_id, user_agent, ip_address) VALUES (?, ?, ?, ?)',
+      [sessionId, user.id, userAgent || null, ipAddress || null]
+    );
+
+    const refreshToken = await createRefreshToken(tx, sessionId);
+    return { ...signAccessToken(user, sessionId), refresh_token: refreshToken };
+  });
+};
+
+export const revokeSession = (sessionId, reason) => {
+  return db.run(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [reason, sessionId]
+  );
+};
+
+// `exceptSessionId` permite conservar la sesión actual (por ejemplo al cambiar la contraseña)
+export const revokeAllSessions = (userId, reason, exceptSessionId = null) => {
+  return db.run(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?`,
+    [reason, userId, exceptSessionId]
+  );
+};
+
+// Cambia un refresh token por un par nuevo. Un token ya usado indica que fue
+// robado o filtrado: se revoca toda la sesión (familia de tokens).
+export const rotateRefreshToken = async (refreshToken) => {
+  const rows = await db.query(`
+    SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at > datetime('now') as not_expired,
+           s.revoked_at, u.id as user_id, u.email, u.role, u.is_active
+    FROM refresh_tokens rt
+    JOIN user_sessions s ON rt.session_id = s.id
+    JOIN users u ON s.user_id = u.id
+    WHERE rt.token_hash = ?
+  `, [hashToken(refreshToken)]);
+
+  if (rows.length === 0) {
+    throw new TokenError('Refresh token inválido');
+  }
+
+  const stored = rows[0];
+
+  if (stored.revoked_at) {
+    throw new TokenError('La sesión fue cerrada');
+  }
+
+  if (!stored.is_active) {
+    throw new TokenError('Usuario desactivado', 403);
+  }
+
+  if (stored.used_at) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    throw new TokenError('Refresh token reutilizado: la sesión fue revocada');
+  }
+
+  if (!stored.not_expired) {
+    throw new TokenError('Refresh token expirado');
+  }
+
+  const user = { id: stored.user_id, email: stored.email, role: stored.role };
+
+  const rotated = await db.transaction(async (tx) => {
+    // La condición sobre used_at impide que dos rotaciones simultáneas usen el mismo token
+    const result = await tx.run(
+      'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+      [stored.id]
+    );
+    if (result.changes === 0) {
+      return null;
+    }
+
+    await tx.run('UPDATE user_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [stored.session_id]);
+    const newRefreshToken = await createRefreshToken(tx, stored.session_id);
+    return { ...signAccessToken(user, stored.session_id), refresh_token: newRefreshToken };
+  });
+
+  if (!rotated) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    throw new TokenError('Refresh token reutilizado: la sesión fue revocada');
+  }
+
+  return rotated;
+};